@@ -2,12 +2,114 @@
 let airports = {};
 let airportsLoading = null; // Promise to track loading state
 let airportsLoaded = false;
+let airportDataInfo = null; // Version/date stamp of the loaded data
 
 const localCSVPath = 'airports.csv';
 const remoteCSVPath = 'https://raw.githubusercontent.com/davidmegginson/ourairports-data/main/airports.csv';
 
+/**
+ * Fetch the airport CSV, trying the remote data first and the local file second
+ * @returns {Promise<Object>} { csvData, source } where source is 'remote' or 'local'
+ */
+async function fetchAirportsCsv() {
+  try {
+    const response = await fetch(remoteCSVPath);
+    if (!response.ok) throw new Error('Remote data unavailable');
+    return { csvData: await response.text(), source: 'remote' };
+  } catch (e) {
+    // If remote fails, try local file
+    console.log('Using local airport database...');
+    const response = await fetch(localCSVPath);
+    if (!response.ok) throw new Error('Local data unavailable');
+    return { csvData: await response.text(), source: 'local' };
+  }
+}
+
+/**
+ * Parse the airport CSV
+ * @param {string} csvData - OurAirports airports.csv contents
+ * @returns {Promise<Object>} Airports keyed by code
+ */
+function parseAirportsCsv(csvData) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(csvData, {
+      header: true,
+      complete: function(results) {
+        const parsedAirports = {};
+
+        // Filter for airports with ICAO codes and valid coordinates
+        results.data.forEach(airport => {
+          if (airport.ident &&
+              airport.latitude_deg &&
+              airport.longitude_deg &&
+              airport.name &&
+              !airport.name.includes('(Duplicate)') &&
+              !isNaN(airport.latitude_deg) &&
+              !isNaN(airport.longitude_deg)) {
+            parsedAirports[airport.ident] = {
+              lat: parseFloat(airport.latitude_deg),
+              lon: parseFloat(airport.longitude_deg),
+              name: airport.name,
+              type: airport.type,
+              elevation: airport.elevation_ft ? parseFloat(airport.elevation_ft) : null,
+              municipality: airport.municipality || '',
+              region: airport.iso_region || '',
+              country: airport.iso_country || '',
+              iataCode: airport.iata_code || '',
+              gpsCode: airport.gps_code || '',
+              localCode: airport.local_code || '',
+              homeLink: airport.home_link || '',
+              wikipediaLink: airport.wikipedia_link || ''
+            };
+          }
+        });
+
+        resolve(parsedAirports);
+      },
+      error: function(error) {
+        console.error('Error parsing airports CSV:', error);
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Download and parse the airport database, then cache it for later sessions
+ * @returns {Promise<Object>} { info, data }
+ */
+async function downloadAirportsData() {
+  const { csvData, source } = await fetchAirportsCsv();
+  const parsedAirports = await parseAirportsCsv(csvData);
+
+  const info = {
+    version: AIRPORT_CACHE_VERSION,
+    source,
+    downloadedAt: Date.now(),
+    count: Object.keys(parsedAirports).length
+  };
+  await saveCachedDataset('airports', parsedAirports, info);
+
+  return { info, data: parsedAirports };
+}
+
+/**
+ * Make parsed airport data the active database
+ * (merged so airports seeded by restored trips are kept, with the user's custom sites on top)
+ * @param {Object} airportData - Airports keyed by code
+ * @param {Object} info - Version/date stamp
+ */
+function setAirportsData(airportData, info) {
+  Object.assign(airports, airportData);
+  applyCustomSites();
+  airportDataInfo = info;
+  airportsLoaded = true;
+  console.log(`Loaded ${Object.keys(airports).length} airports`);
+}
+
 /**
  * Load airports data on-demand (called when user uploads files)
+ * Uses the IndexedDB copy when there is one, so later sessions start instantly and work offline
  * @returns {Promise} Promise that resolves when airports are loaded
  */
 function loadAirportsData() {
@@ -22,60 +124,56 @@ function loadAirportsData() {
   }
 
   // Start loading
-  airportsLoading = new Promise(async (resolve, reject) => {
+  airportsLoading = (async () => {
     try {
-      // Try to fetch remote data first
-      let csvData;
-      try {
-        const response = await fetch(remoteCSVPath);
-        if (!response.ok) throw new Error('Remote data unavailable');
-        csvData = await response.text();
-      } catch (e) {
-        // If remote fails, try local file
-        console.log('Using local airport database...');
-        const response = await fetch(localCSVPath);
-        if (!response.ok) throw new Error('Local data unavailable');
-        csvData = await response.text();
+      const cached = await loadCachedDataset('airports');
+      if (cached) {
+        console.log(`Using cached airport database from ${new Date(cached.info.downloadedAt).toISOString()}`);
+        setAirportsData(cached.data, cached.info);
+        showAirportDataStatus(cached.info, 'cached');
+        return;
       }
 
-      // Parse CSV data
-      Papa.parse(csvData, {
-        header: true,
-        complete: function(results) {
-          // Filter for airports with ICAO codes and valid coordinates
-          results.data.forEach(airport => {
-            if (airport.ident &&
-                airport.latitude_deg &&
-                airport.longitude_deg &&
-                airport.name &&
-                !airport.name.includes('(Duplicate)') &&
-                !isNaN(airport.latitude_deg) &&
-                !isNaN(airport.longitude_deg)) {
-              airports[airport.ident] = {
-                lat: parseFloat(airport.latitude_deg),
-                lon: parseFloat(airport.longitude_deg),
-                name: airport.name,
-                type: airport.type
-              };
-            }
-          });
-
-          airportsLoaded = true;
-          console.log(`Loaded ${Object.keys(airports).length} airports`);
-          resolve();
-        },
-        error: function(error) {
-          console.error('Error parsing airports CSV:', error);
-          reject(error);
-        }
-      });
+      showAirportDataStatus(null, 'loading');
+      const downloaded = await downloadAirportsData();
+      setAirportsData(downloaded.data, downloaded.info);
+      showAirportDataStatus(downloaded.info, 'downloaded');
     } catch (error) {
       console.error('Error loading airports data:', error);
-      airports = {};
-      airportsLoaded = true; // Mark as loaded even on error to prevent retries
-      reject(error);
+      showAirportDataStatus(null, 'error');
+      airportsLoading = null; // Allow the next upload to try again
+      throw error;
     }
-  });
+  })();
 
   return airportsLoading;
 }
+
+/**
+ * Download fresh airport data, replacing the cached copy
+ * @returns {Promise} Promise that resolves when the new data is active
+ */
+async function refreshAirportsData() {
+  // Let any first load finish so it can't overwrite the fresh data
+  if (airportsLoading) {
+    await airportsLoading.catch(() => {});
+  }
+
+  showAirportDataStatus(airportDataInfo, 'loading');
+  try {
+    const downloaded = await downloadAirportsData();
+    setAirportsData(downloaded.data, downloaded.info);
+    showAirportDataStatus(downloaded.info, 'downloaded');
+  } catch (error) {
+    console.error('Error refreshing airports data:', error);
+    showAirportDataStatus(airportDataInfo, 'error');
+    throw error;
+  }
+
+  // Runways are optional - a failed download keeps the fresh airports and the previous runways
+  try {
+    await refreshRunwaysData();
+  } catch (error) {
+    console.error('Error refreshing runway data:', error);
+  }
+}
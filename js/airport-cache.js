@@ -0,0 +1,141 @@
+/**
+ * IndexedDB cache of the parsed airport (and runway) database, and the in-page status of the airport data
+ *
+ * Each dataset is stored under its name, with its version/date stamp under `<name>-info`
+ */
+
+const AIRPORT_CACHE_DB_NAME = 'g3x-flight-map';
+const AIRPORT_CACHE_STORE = 'airport-data';
+
+const AIRPORT_SOURCE_LABELS = {
+  remote: 'OurAirports (GitHub)',
+  local: 'bundled airports.csv'
+};
+
+/**
+ * Open the cache database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openAirportCache() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(AIRPORT_CACHE_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(AIRPORT_CACHE_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read one entry from the cache
+ * @param {string} key - Entry key (e.g. 'airports' or 'airports-info')
+ * @returns {Promise<*>} Stored value, or undefined
+ */
+async function readAirportCacheEntry(key) {
+  const db = await openAirportCache();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(AIRPORT_CACHE_STORE).objectStore(AIRPORT_CACHE_STORE).get(key);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).finally(() => db.close());
+}
+
+/**
+ * Read the version/date stamp of a cached dataset
+ * @param {string} dataset - 'airports' or 'runways'
+ * @returns {Promise<Object|null>} { version, source, downloadedAt, count } or null if nothing usable is cached
+ */
+async function readAirportCacheInfo(dataset = 'airports') {
+  try {
+    const info = await readAirportCacheEntry(`${dataset}-info`);
+    return info && info.version === AIRPORT_CACHE_VERSION ? info : null;
+  } catch (error) {
+    console.warn('Could not read airport cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Load a cached dataset
+ * @param {string} dataset - 'airports' or 'runways'
+ * @returns {Promise<Object|null>} { info, data } or null if nothing usable is cached
+ */
+async function loadCachedDataset(dataset) {
+  const info = await readAirportCacheInfo(dataset);
+  if (!info) return null;
+
+  try {
+    const data = await readAirportCacheEntry(dataset);
+    return data ? { info, data } : null;
+  } catch (error) {
+    console.warn('Could not read airport cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a dataset and its stamp (failures only cost the next session a download)
+ * @param {string} dataset - 'airports' or 'runways'
+ * @param {Object} data - Records keyed by airport code
+ * @param {Object} info - { version, source, downloadedAt, count }
+ */
+async function saveCachedDataset(dataset, data, info) {
+  try {
+    const db = await openAirportCache();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(AIRPORT_CACHE_STORE, 'readwrite');
+      const store = transaction.objectStore(AIRPORT_CACHE_STORE);
+      store.put(data, dataset);
+      store.put(info, `${dataset}-info`);
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    }).finally(() => db.close());
+    console.log(`Cached ${info.count} ${dataset}`);
+  } catch (error) {
+    console.warn(`Could not cache ${dataset}:`, error);
+  }
+}
+
+/**
+ * Describe how long ago a timestamp was
+ * @param {number} timestamp - Time in ms
+ * @returns {string} e.g. "today", "3 days ago"
+ */
+function formatAge(timestamp) {
+  const days = Math.floor((Date.now() - timestamp) / 86400000);
+  if (days <= 0) return 'today';
+  return days === 1 ? '1 day ago' : `${days} days ago`;
+}
+
+/**
+ * Show where the airport data came from and how old it is
+ * @param {Object|null} info - Cache stamp ({ source, downloadedAt, count }), or null if no data is loaded
+ * @param {string} state - 'cached', 'downloaded', 'loading', 'error' or 'none'
+ */
+function showAirportDataStatus(info, state) {
+  const status = document.getElementById('airport-data-status');
+  if (!status) return;
+
+  const stale = Boolean(info) && Date.now() - info.downloadedAt > AIRPORT_CACHE_STALE_DAYS * 86400000;
+  status.classList.toggle('stale', stale);
+
+  if (state === 'loading') {
+    status.textContent = 'Airport data: downloading...';
+  } else if (state === 'error' && !info) {
+    status.textContent = 'Airport data: download failed';
+  } else if (!info) {
+    status.textContent = 'Airport data: downloaded on first upload';
+  } else {
+    const source = AIRPORT_SOURCE_LABELS[info.source] || info.source;
+    const origin = state === 'cached' ? 'offline copy of ' : '';
+    status.textContent = `Airport data: ${origin}${source}, ${info.count.toLocaleString()} airports, ` +
+      `downloaded ${formatAge(info.downloadedAt)}` +
+      (state === 'error' ? ' (refresh failed)' : stale ? ' (refresh recommended)' : '');
+  }
+
+  status.title = info ? `Downloaded ${new Date(info.downloadedAt).toLocaleString()}` : '';
+}
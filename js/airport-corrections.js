@@ -0,0 +1,181 @@
+/**
+ * Manual correction of detected departure, arrival and stop airports
+ * Corrections are saved in localStorage per log file and detection position, and re-applied whenever
+ * the same logs are loaded again
+ */
+
+const AIRPORT_CORRECTIONS_STORAGE_KEY = 'g3x-flight-map.airport-corrections';
+
+/**
+ * Load saved corrections from localStorage
+ * @returns {Object} Flight key → { position key → airport code }
+ */
+function loadAirportCorrections() {
+  try {
+    return JSON.parse(localStorage.getItem(AIRPORT_CORRECTIONS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read saved airport corrections:', error);
+    return {};
+  }
+}
+
+/**
+ * Save corrections to localStorage
+ * @param {Object} corrections - Flight key → { position key → airport code }
+ */
+function saveAirportCorrections(corrections) {
+  localStorage.setItem(AIRPORT_CORRECTIONS_STORAGE_KEY, JSON.stringify(corrections));
+}
+
+/**
+ * Key identifying the log(s) a flight came from
+ * @param {Object} flight - Flight data
+ * @returns {string} Flight key
+ */
+function getCorrectionFlightKey(flight) {
+  return flight.sourceFilename || flight.filename;
+}
+
+/**
+ * Key identifying where an airport was detected (~10m precision)
+ * @param {Array} position - [lat, lon]
+ * @returns {string} Position key
+ */
+function getCorrectionPositionKey(position) {
+  return `${position[0].toFixed(4)},${position[1].toFixed(4)}`;
+}
+
+/**
+ * Apply saved corrections to a flight (automatic detections are kept so a correction can be undone)
+ * @param {Object} flight - Flight data built from logs
+ */
+function applyAirportCorrections(flight) {
+  if (flight.restored) return;
+
+  if (!flight.detectedAirports) {
+    flight.detectedAirports = {
+      departure: flight.departureAirport,
+      arrival: flight.arrivalAirport,
+      stops: flight.intermediateStops.map(({ airport, airportLat, airportLon, offAirport }) => ({ airport, airportLat, airportLon, offAirport }))
+    };
+  }
+
+  const saved = loadAirportCorrections()[getCorrectionFlightKey(flight)] || {};
+  const correctionAt = (position) => {
+    const code = saved[getCorrectionPositionKey(position)];
+    return code && airports[code] ? code : null;
+  };
+
+  const { detectedAirports } = flight;
+  flight.departureAirport = correctionAt(flight.start) || detectedAirports.departure;
+  flight.arrivalAirport = correctionAt(flight.end) || detectedAirports.arrival;
+
+  flight.intermediateStops.forEach((stop, idx) => {
+    const code = correctionAt([stop.lat, stop.lon]);
+    if (code) {
+      stop.airport = code;
+      stop.airportLat = airports[code].lat;
+      stop.airportLon = airports[code].lon;
+      stop.offAirport = false;
+    } else {
+      Object.assign(stop, detectedAirports.stops[idx]);
+    }
+  });
+}
+
+/**
+ * List every detection in the loaded flights that was matched to an airport
+ * @param {string} code - Airport code, or the formatLatLon label of an off-airport landing
+ * @returns {Array} Detections ({ flight, position })
+ */
+function getAirportDetections(code) {
+  const detections = [];
+  const isAt = (airport, position) => airport ? airport === code : formatLatLon(position[0], position[1]) === code;
+
+  loadedFlights.forEach(flight => {
+    if (flight.restored) return;
+    if (isAt(flight.departureAirport, flight.start)) detections.push({ flight, position: flight.start });
+    if (isAt(flight.arrivalAirport, flight.end)) detections.push({ flight, position: flight.end });
+    flight.intermediateStops.forEach(stop => {
+      if (isAt(stop.airport, [stop.lat, stop.lon])) detections.push({ flight, position: [stop.lat, stop.lon] });
+    });
+  });
+  return detections;
+}
+
+/**
+ * Rank the airports near a detection for the correction dialog
+ * @param {Array} position - [lat, lon]
+ * @returns {Array} Candidates ({ code, ...airport, distance }) nearest first
+ */
+function getAirportCandidates(position) {
+  const nearby = getNearbyAirports(position[0], position[1]);
+  const candidates = nearby.length > 0 ? nearby : findNearestAirports(position[0], position[1], AIRPORT_CORRECTION_CANDIDATES);
+  return candidates.slice(0, AIRPORT_CORRECTION_CANDIDATES);
+}
+
+/**
+ * Save (or with a null code, remove) a correction for each detection, then redraw
+ * @param {Array} detections - Detections from getAirportDetections or a single marker
+ * @param {string|null} code - Chosen airport code
+ */
+function correctAirportDetections(detections, code) {
+  const corrections = loadAirportCorrections();
+  detections.forEach(({ flight, position }) => {
+    const flightKey = getCorrectionFlightKey(flight);
+    const positionKey = getCorrectionPositionKey(position);
+    if (code) {
+      corrections[flightKey] = { ...corrections[flightKey], [positionKey]: code };
+    } else if (corrections[flightKey]) {
+      delete corrections[flightKey][positionKey];
+      if (Object.keys(corrections[flightKey]).length === 0) delete corrections[flightKey];
+    }
+  });
+  saveAirportCorrections(corrections);
+  console.log(code ? `Corrected ${detections.length} detection(s) to ${code}` : `Reset ${detections.length} detection(s)`);
+
+  refreshLoadedFlights();
+  redrawAllFlights();
+}
+
+/**
+ * Show the airport correction dialog for one or more detections of the same airport
+ * @param {string} currentCode - Airport the detections are matched to now
+ * @param {Array} detections - Detections ({ flight, position })
+ */
+function showAirportCorrectionDialog(currentCode, detections) {
+  if (detections.length === 0) return;
+
+  const dialog = document.getElementById('airport-correction-dialog');
+  const list = document.getElementById('airport-correction-candidates');
+  const { flight, position } = detections[0];
+
+  document.getElementById('airport-correction-summary').textContent = detections.length === 1
+    ? `${currentCode} in ${flight.filename}`
+    : `${currentCode} in ${detections.length} places`;
+
+  list.innerHTML = getAirportCandidates(position).map(candidate => `
+    <label class="airport-correction-candidate">
+      <input type="radio" name="airport-correction" value="${escapeHtml(candidate.code)}"${candidate.code === currentCode ? ' checked' : ''} />
+      <b>${escapeHtml(candidate.code)}</b> ${escapeHtml(candidate.name)}
+      <span class="airport-correction-detail">${escapeHtml(AIRPORT_TYPE_LABELS[candidate.type] || candidate.type || '')} · ${candidate.distance.toFixed(1)} km</span>
+    </label>
+  `).join('');
+
+  const close = () => {
+    dialog.style.display = 'none';
+  };
+
+  document.getElementById('airport-correction-cancel').onclick = close;
+  document.getElementById('airport-correction-reset').onclick = () => {
+    close();
+    correctAirportDetections(detections, null);
+  };
+  document.getElementById('airport-correction-apply').onclick = () => {
+    const selected = list.querySelector('input:checked');
+    close();
+    if (selected) correctAirportDetections(detections, selected.value);
+  };
+
+  dialog.style.display = 'flex';
+}
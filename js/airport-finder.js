@@ -2,6 +2,32 @@
  * Airport finding and verification logic
  */
 
+/**
+ * Find the user-defined site whose radius contains the given coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object|null} Custom site (highest priority, then closest) or null
+ */
+function findCustomSiteAt(lat, lon) {
+  const sites = findAirportsWithinRadius(lat, lon, CUSTOM_SITE_MAX_RADIUS_KM, airport => airport.custom)
+    .filter(site => site.distance <= site.radius)
+    .sort((a, b) => (b.priority - a.priority) || (a.distance - b.distance));
+  return sites[0] || null;
+}
+
+/**
+ * List the airports within 50km with their type priority
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Array} Airports ({ code, ...airport, distance, priority }) sorted by distance
+ */
+function getNearbyAirports(lat, lon) {
+  return findAirportsWithinRadius(lat, lon, 50).map(airport => ({
+    ...airport,
+    priority: AIRPORT_TYPE_PRIORITY[airport.type] || 0
+  }));
+}
+
 /**
  * Find closest airport to given coordinates with type priority
  * @param {number} lat - Latitude
@@ -10,58 +36,33 @@
  */
 function findNearestAirport(lat, lon) {
   let closest = null;
-  let minDistance = Infinity;
 
   console.log(`Searching for airports near lat: ${lat}, lon: ${lon}`);
 
-  // Keep track of all nearby airports for debugging
-  const nearbyAirports = [];
-
-  // First pass: find all airports within 1km
-  const closeAirports = [];
-
-  for (const [code, airport] of Object.entries(airports)) {
-    const distance = getDistance(lat, lon, airport.lat, airport.lon);
+  // User-defined sites take precedence over the database within their radius
+  const customSite = findCustomSiteAt(lat, lon);
+  if (customSite) {
+    console.log(`Selected custom site ${customSite.code} at ${customSite.distance.toFixed(2)}km`);
+    return customSite;
+  }
 
-    const currentPriority = AIRPORT_TYPE_PRIORITY[airport.type] || 0;
-    const closestPriority = closest ? AIRPORT_TYPE_PRIORITY[closest.type] || 0 : -1;
+  // Keep track of all airports within 50km for debugging
+  const nearbyAirports = getNearbyAirports(lat, lon);
 
-    // Keep track of all airports within 50km for debugging
-    if (distance <= 50) {
-      nearbyAirports.push({
-        code,
-        ...airport,
-        distance,
-        priority: AIRPORT_TYPE_PRIORITY[airport.type] || 0
-      });
-    }
+  // Track all airports within 1km
+  const closeAirports = nearbyAirports.filter(airport => airport.distance <= 1);
 
-    // Track all airports within 1km
-    if (distance <= 1) {
-      closeAirports.push({
-        code,
-        ...airport,
-        distance,
-        priority: AIRPORT_TYPE_PRIORITY[airport.type] || 0
-      });
-    }
+  // If we don't have any close airports (<1km), take the nearest airport of the highest type priority
+  if (closeAirports.length === 0) {
+    const priorities = [...new Set([0, ...Object.values(AIRPORT_TYPE_PRIORITY)])].sort((a, b) => b - a);
 
-    // If we don't have any close airports (<1km), use normal distance and priority logic
-    if (closeAirports.length === 0) {
-      const currentPriority = AIRPORT_TYPE_PRIORITY[airport.type] || 0;
-      const closestPriority = closest ? AIRPORT_TYPE_PRIORITY[closest.type] || 0 : -1;
-
-      // Update closest if:
-      // 1. No airport found yet, or
-      // 2. This airport type has higher priority, or
-      // 3. Same priority but closer distance
-      if (!closest ||
-          currentPriority > closestPriority ||
-          (currentPriority === closestPriority && distance < minDistance)) {
-        console.log(`New closest airport: ${code} (${airport.type || 'unknown type'}) at ${distance.toFixed(2)}km` +
-                    `${closest ? ` replacing ${closest.code}` : ''}`);
-        minDistance = distance;
-        closest = { code, ...airport, distance };
+    for (const priority of priorities) {
+      const [nearest] = findNearestAirports(lat, lon, 1,
+        airport => (AIRPORT_TYPE_PRIORITY[airport.type] || 0) === priority);
+      if (nearest) {
+        console.log(`Closest airport: ${nearest.code} (${nearest.type || 'unknown type'}) at ${nearest.distance.toFixed(2)}km`);
+        closest = nearest;
+        break;
       }
     }
   }
@@ -105,17 +106,39 @@ function findNearestAirport(lat, lon) {
   return closest;
 }
 
+/**
+ * Find the airport a landing (or takeoff) belongs to, within OFF_AIRPORT_MAX_DISTANCE_KM
+ * The type priority of findNearestAirport must not drag a landing to a bigger airport far away,
+ * so the closest airport of any type is used instead when the preferred one is too far
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object|null} Airport object, or null for an off-airport landing
+ */
+function findLandingAirport(lat, lon) {
+  const nearest = findNearestAirport(lat, lon);
+  // Custom sites come back only when inside their own radius, which may be larger
+  if (nearest && (nearest.distance <= OFF_AIRPORT_MAX_DISTANCE_KM || nearest.custom)) {
+    return nearest;
+  }
+
+  const [closest] = findAirportsWithinRadius(lat, lon, OFF_AIRPORT_MAX_DISTANCE_KM);
+  if (!closest) {
+    console.log(`No airport within ${OFF_AIRPORT_MAX_DISTANCE_KM}km - off-airport landing`);
+  }
+  return closest || null;
+}
+
 /**
  * Verify airport code using coordinates
  * @param {string} code - Suggested airport code
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {string|null} Verified airport code
+ * @returns {string|null} Verified airport code (null when off-airport)
  */
 function verifyAirportCode(code, lat, lon) {
   console.log(`\nVerifying airport code: ${code} at position ${lat}, ${lon}`);
 
-  const nearest = findNearestAirport(lat, lon);
+  const nearest = findLandingAirport(lat, lon);
   if (!nearest) {
     console.log('No nearby airport found');
     return null;
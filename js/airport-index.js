@@ -0,0 +1,115 @@
+/**
+ * Grid-based spatial index over the airport database
+ */
+
+// Cell key -> array of { code, airport } entries
+let airportIndex = new Map();
+
+const KM_PER_DEGREE_LAT = 6371 * Math.PI / 180;
+const AIRPORT_INDEX_LON_CELLS = Math.round(360 / AIRPORT_INDEX_CELL_DEG);
+
+/**
+ * Get the grid row for a latitude
+ * @param {number} lat - Latitude
+ * @returns {number} Cell row
+ */
+function getLatCell(lat) {
+  return Math.floor(lat / AIRPORT_INDEX_CELL_DEG);
+}
+
+/**
+ * Get the grid column for a longitude, wrapped across the antimeridian
+ * @param {number} lonCell - Unwrapped cell column
+ * @returns {number} Cell column
+ */
+function wrapLonCell(lonCell) {
+  const half = AIRPORT_INDEX_LON_CELLS / 2;
+  return ((lonCell + half) % AIRPORT_INDEX_LON_CELLS + AIRPORT_INDEX_LON_CELLS) % AIRPORT_INDEX_LON_CELLS - half;
+}
+
+/**
+ * Add one airport to the index
+ * @param {string} code - Airport code
+ * @param {Object} airport - Airport record ({ lat, lon, name, type })
+ */
+function addAirportToIndex(code, airport) {
+  const key = `${getLatCell(airport.lat)},${wrapLonCell(Math.floor(airport.lon / AIRPORT_INDEX_CELL_DEG))}`;
+  if (!airportIndex.has(key)) {
+    airportIndex.set(key, []);
+  }
+  airportIndex.get(key).push({ code, airport });
+}
+
+/**
+ * Build the index from the global airports object
+ */
+function buildAirportIndex() {
+  airportIndex = new Map();
+  Object.entries(airports).forEach(([code, airport]) => addAirportToIndex(code, airport));
+  console.log(`Indexed ${Object.keys(airports).length} airports into ${airportIndex.size} grid cells`);
+}
+
+/**
+ * Find all airports within a radius
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radiusKm - Search radius in km
+ * @param {Function} filter - Optional predicate on the airport record
+ * @returns {Array} Airports ({ code, ...airport, distance }) sorted by distance
+ */
+function findAirportsWithinRadius(lat, lon, radiusKm, filter = null) {
+  const latSpan = radiusKm / KM_PER_DEGREE_LAT;
+  const maxAbsLat = Math.abs(lat) + latSpan;
+
+  // Longitude degrees shrink towards the poles; near them, search every column
+  const lonSpan = maxAbsLat >= 89 ? 180 : latSpan / Math.cos(maxAbsLat * Math.PI / 180);
+  const minLonCell = lonSpan >= 180 ? 0 : Math.floor((lon - lonSpan) / AIRPORT_INDEX_CELL_DEG);
+  const maxLonCell = lonSpan >= 180 ? AIRPORT_INDEX_LON_CELLS - 1 : Math.floor((lon + lonSpan) / AIRPORT_INDEX_CELL_DEG);
+
+  const minLatCell = getLatCell(Math.max(-90, lat - latSpan));
+  const maxLatCell = getLatCell(Math.min(90, lat + latSpan));
+
+  const results = [];
+  const visited = new Set();
+
+  for (let latCell = minLatCell; latCell <= maxLatCell; latCell++) {
+    for (let lonCell = minLonCell; lonCell <= maxLonCell; lonCell++) {
+      const key = `${latCell},${wrapLonCell(lonCell)}`;
+      if (visited.has(key)) continue;
+      visited.add(key);
+
+      const entries = airportIndex.get(key);
+      if (!entries) continue;
+
+      entries.forEach(({ code, airport }) => {
+        if (filter && !filter(airport)) return;
+        const distance = getDistance(lat, lon, airport.lat, airport.lon);
+        if (distance <= radiusKm) {
+          results.push({ code, ...airport, distance });
+        }
+      });
+    }
+  }
+
+  return results.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Find the nearest airports, widening the search until enough are found
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} count - Number of airports to return
+ * @param {Function} filter - Optional predicate on the airport record
+ * @returns {Array} Up to `count` airports ({ code, ...airport, distance }) sorted by distance
+ */
+function findNearestAirports(lat, lon, count = 1, filter = null) {
+  let radiusKm = AIRPORT_SEARCH_START_RADIUS_KM;
+
+  while (true) {
+    const found = findAirportsWithinRadius(lat, lon, radiusKm, filter);
+    if (found.length >= count || radiusKm >= MAX_SEARCH_RADIUS_KM) {
+      return found.slice(0, count);
+    }
+    radiusKm *= 2;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Airport popups with the OurAirports details and the flights that touched each airport
+ */
+
+const AIRPORT_TYPE_LABELS = {
+  large_airport: 'Large airport',
+  medium_airport: 'Medium airport',
+  small_airport: 'Small airport',
+  seaplane_base: 'Seaplane base',
+  heliport: 'Heliport',
+  balloonport: 'Balloonport',
+  closed: 'Closed',
+  landing_site: 'Landing site'
+};
+
+/**
+ * Only allow http(s) links from the airport database into popups
+ * @param {string} url - Link from the airport record
+ * @returns {string|null} Safe URL or null
+ */
+function getSafeAirportLink(url) {
+  return /^https?:\/\//i.test(url || '') ? url : null;
+}
+
+/**
+ * Find every loaded flight that departed, arrived or stopped at an airport
+ * @param {string} code - Airport code
+ * @returns {Array} Visits ({ flight, direction, time, runway, stop }) in time order
+ */
+function getAirportVisits(code) {
+  const visits = [];
+
+  loadedFlights.forEach(flight => {
+    if (flight.departureAirport === code) {
+      visits.push({ flight, direction: 'departure', time: flight.startTime, runway: flight.departureRunway });
+    }
+    // One visit per stop - a flight can come back to the same airport
+    (flight.intermediateStops || []).filter(stop => stop.airport === code).forEach(stop => {
+      // Time of the touchdown itself (restored trips have no rows - fall back to the flight's start)
+      const stopRow = (flight.data || [])[stop.startIndex];
+      const time = stopRow && typeof stopRow._timestamp === 'number' ? stopRow._timestamp : flight.startTime;
+      visits.push({ flight, direction: 'stop', time, runway: stop.runway, stop });
+    });
+    if (flight.arrivalAirport === code) {
+      visits.push({ flight, direction: 'arrival', time: flight.endTime, runway: flight.arrivalRunway });
+    }
+  });
+
+  return visits.sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity));
+}
+
+/**
+ * Describe one visit, e.g. "Departed to KFLD"
+ * @param {Object} visit - Visit from getAirportVisits
+ * @returns {string} Popup HTML for the visit
+ */
+function formatAirportVisit(visit) {
+  const { flight, direction } = visit;
+  let description;
+  if (direction === 'departure') {
+    description = `Departed${flight.arrivalAirport ? ` to ${escapeHtml(flight.arrivalAirport)}` : ''}`;
+  } else if (direction === 'arrival') {
+    description = `Arrived${flight.departureAirport ? ` from ${escapeHtml(flight.departureAirport)}` : ''}`;
+  } else {
+    description = `${escapeHtml(formatStopRole(visit.stop))} (${escapeHtml(flight.departureAirport || '?')} → ${escapeHtml(flight.arrivalAirport || '?')})`;
+  }
+
+  if (visit.runway) {
+    description += `, runway ${escapeHtml(visit.runway)}`;
+  }
+
+  const time = visit.time !== null && visit.time !== undefined ? formatUtcTime(visit.time) : escapeHtml(flight.filename);
+  return `<li><span class="airport-visit-time">${time}</span> ${description}</li>`;
+}
+
+/**
+ * Build the popup for an airport marker
+ * @param {string} code - Airport code
+ * @param {string|null} role - What the marker shows (e.g. 'Departure'), or null
+ * @returns {string} Popup HTML
+ */
+function buildAirportPopup(code, role = null) {
+  const airport = airports[code];
+  const lines = [`<b>${escapeHtml(code)}</b>${role ? ` · ${escapeHtml(role)}` : ''}`];
+
+  if (airport) {
+    lines.push(`<span class="airport-popup-name">${escapeHtml(airport.name)}</span>`);
+
+    const place = [airport.municipality, airport.region || airport.country].filter(Boolean).join(', ');
+    if (place) lines.push(escapeHtml(place));
+
+    const facts = [AIRPORT_TYPE_LABELS[airport.type] || airport.type];
+    if (airport.custom) facts.push('Custom site');
+    if (airport.elevation !== null && airport.elevation !== undefined) {
+      facts.push(`Elev ${Math.round(airport.elevation)} ft`);
+    }
+    lines.push(escapeHtml(facts.filter(Boolean).join(' · ')));
+
+    const codes = [
+      airport.iataCode && `IATA ${airport.iataCode}`,
+      airport.gpsCode && airport.gpsCode !== code && `GPS ${airport.gpsCode}`,
+      airport.localCode && airport.localCode !== code && `Local ${airport.localCode}`
+    ].filter(Boolean);
+    if (codes.length > 0) lines.push(escapeHtml(codes.join(' · ')));
+
+    const links = [
+      getSafeAirportLink(airport.homeLink) && `<a href="${escapeHtml(airport.homeLink)}" target="_blank" rel="noopener">Website</a>`,
+      getSafeAirportLink(airport.wikipediaLink) && `<a href="${escapeHtml(airport.wikipediaLink)}" target="_blank" rel="noopener">Wikipedia</a>`
+    ].filter(Boolean);
+    if (links.length > 0) lines.push(links.join(' · '));
+  }
+
+  const visits = getAirportVisits(code);
+  const visitList = visits.length > 0
+    ? `<ul class="airport-visits">${visits.map(formatAirportVisit).join('')}</ul>`
+    : '';
+
+  return `<div class="airport-popup">${lines.join('<br>')}${visitList}</div>`;
+}
+
+/**
+ * Popup content function for Leaflet, so the flight list is current whenever it opens
+ * @param {string} code - Airport code
+ * @param {string|null} role - What the marker shows (e.g. 'Departure'), or null
+ * @param {Function|null} getDetections - Returns the detections a "Wrong airport?" correction applies to
+ * @returns {Function} Content function for bindPopup
+ */
+function airportPopupContent(code, role = null, getDetections = null) {
+  return () => {
+    const content = document.createElement('div');
+    content.innerHTML = buildAirportPopup(code, role);
+
+    const detections = getDetections ? getDetections() : [];
+    if (detections.length > 0) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'airport-correct-button';
+      // Off-airport landings have no airport yet, but one can still be assigned
+      button.textContent = airports[code] ? 'Wrong airport?' : 'Assign airport';
+      button.addEventListener('click', () => {
+        map.closePopup();
+        showAirportCorrectionDialog(code, detections);
+      });
+      content.appendChild(button);
+    }
+
+    return content;
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Column mapping dialog for CSV logs no import adapter recognizes
+ * Mappings are remembered per header signature so the same kind of file imports automatically next time
+ */
+
+const COLUMN_MAPPINGS_STORAGE_KEY = 'g3x-flight-map.column-mappings';
+
+// Fields the user can map, in dialog order (Date is only needed when time of day is in its own column)
+const MAPPABLE_FIELDS = [
+  { key: 'Latitude', label: 'Latitude', required: true },
+  { key: 'Longitude', label: 'Longitude', required: true },
+  { key: 'AltMSL', label: 'Altitude (ft)', required: false },
+  { key: 'GndSpd', label: 'Ground speed (kt)', required: false },
+  { key: 'Time', label: 'Time (or date/time)', required: false },
+  { key: 'Date', label: 'Date (if separate)', required: false }
+];
+
+// Dialogs are shown one at a time even though files are parsed in parallel
+let columnMappingQueue = Promise.resolve();
+
+/**
+ * Load saved column mappings from localStorage
+ * @returns {Object} Header signature → { headerLineIdx, mapping }
+ */
+function loadColumnMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(COLUMN_MAPPINGS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read saved column mappings:', error);
+    return {};
+  }
+}
+
+/**
+ * Save a column mapping for a header signature
+ * @param {string} signature - Header signature
+ * @param {Object} entry - { headerLineIdx, mapping }
+ */
+function saveColumnMapping(signature, entry) {
+  const mappings = loadColumnMappings();
+  mappings[signature] = entry;
+  localStorage.setItem(COLUMN_MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+}
+
+/**
+ * Guess which of the first lines is the header row (first line with several non-numeric cells)
+ * @param {Array} lines - File lines
+ * @returns {number} Line index or -1
+ */
+function guessHeaderLineIndex(lines) {
+  const limit = Math.min(lines.length, 10);
+  for (let i = 0; i < limit; i++) {
+    if (!lines[i].trim() || lines[i].startsWith('#')) continue;
+
+    const cells = (Papa.parse(lines[i]).data[0] || []).map(cell => String(cell).trim());
+    const textCells = cells.filter(cell => cell && isNaN(cell));
+    if (cells.length >= 2 && textCells.length >= cells.length / 2) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read the header row of a CSV file
+ * @param {string} text - File contents
+ * @returns {Object|null} { headerLineIdx, headers, signature } or null if there is no header row
+ */
+function getCsvHeaderInfo(text) {
+  const lines = text.split(/\r?\n/, 10);
+  const headerLineIdx = guessHeaderLineIndex(lines);
+  if (headerLineIdx < 0) return null;
+
+  const headers = (Papa.parse(lines[headerLineIdx]).data[0] || []).map(header => String(header).trim());
+  return { headerLineIdx, headers, signature: headers.join('|') };
+}
+
+/**
+ * Create an import adapter from a saved column mapping
+ * @param {Object} entry - { headerLineIdx, mapping }
+ * @returns {Object} Import adapter
+ */
+function createSavedMappingAdapter(entry) {
+  return {
+    id: 'custom-csv',
+    name: 'CSV (saved column mapping)',
+    sniff: () => true,
+    parse: (text) => {
+      const rows = parseMappedCsv(text, entry.headerLineIdx, entry.mapping);
+      // A single altitude column serves as both MSL and GPS altitude
+      rows.forEach(row => {
+        if (row.AltMSL !== undefined && row.AltGPS === undefined) row.AltGPS = row.AltMSL;
+      });
+      return { rows, metadata: createBasicMetadata('custom-csv') };
+    }
+  };
+}
+
+/**
+ * Find a saved column mapping for a file
+ * @param {string} text - File contents
+ * @returns {Object|null} Saved mapping entry or null
+ */
+function findSavedColumnMapping(text) {
+  const info = getCsvHeaderInfo(text);
+  if (!info) return null;
+  return loadColumnMappings()[info.signature] || null;
+}
+
+// Files whose header matches a saved mapping import without asking (checked after built-in formats)
+registerImportAdapter({
+  id: 'custom-csv',
+  name: 'CSV (saved column mapping)',
+  sniff: (text, filename) => /\.csv$/i.test(filename) && findSavedColumnMapping(text) !== null,
+  parse: (text, filename) => createSavedMappingAdapter(findSavedColumnMapping(text)).parse(text, filename)
+});
+
+/**
+ * Ask the user how to read an unrecognized CSV file
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @returns {Promise} Resolves with an import adapter, or null if the user skipped the file
+ */
+function requestColumnMappingAdapter(text, filename) {
+  if (!/\.(csv|txt)$/i.test(filename) || !getCsvHeaderInfo(text)) {
+    return Promise.resolve(null);
+  }
+
+  const result = columnMappingQueue.then(() => {
+    // An earlier dialog may have saved a mapping for this kind of file
+    const saved = findSavedColumnMapping(text);
+    if (saved) {
+      return createSavedMappingAdapter(saved);
+    }
+    return showColumnMappingDialog(text, filename);
+  });
+
+  columnMappingQueue = result.catch(() => null);
+  return result;
+}
+
+/**
+ * Show the column mapping dialog for a file
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @returns {Promise} Resolves with an import adapter, or null if the user skipped the file
+ */
+function showColumnMappingDialog(text, filename) {
+  return new Promise((resolve) => {
+    const { headerLineIdx, headers, signature } = getCsvHeaderInfo(text);
+    const previewRows = Papa.parse(
+      text.split(/\r?\n/).slice(headerLineIdx + 1, headerLineIdx + 6).join("\n"),
+      { skipEmptyLines: true }
+    ).data;
+
+    const dialog = document.getElementById('column-mapping-dialog');
+    const fieldsContainer = document.getElementById('column-mapping-fields');
+    const preview = document.getElementById('column-mapping-preview');
+    const error = document.getElementById('column-mapping-error');
+
+    document.getElementById('column-mapping-filename').textContent = filename;
+    error.textContent = '';
+
+    // Preview table of the first rows
+    preview.innerHTML = `
+      <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+      <tbody>${previewRows.map(row => `<tr>${headers.map((_, idx) => `<td>${escapeHtml(row[idx])}</td>`).join('')}</tr>`).join('')}</tbody>
+    `;
+
+    // One column picker per mappable field, preselected when a column name looks right
+    const guesses = resolveColumnMapping(headers, {
+      Latitude: [/lat/i],
+      Longitude: [/lon|lng/i],
+      AltMSL: [/alt/i, /ele/i],
+      GndSpd: [/ground ?speed|gnd ?spd|^gs\b|speed/i],
+      Time: [/date.*time|time/i],
+      Date: [/^date$/i]
+    });
+    fieldsContainer.innerHTML = MAPPABLE_FIELDS.map(field => `
+      <label class="column-mapping-field">
+        ${field.label}${field.required ? ' *' : ''}
+        <select data-field="${field.key}">
+          <option value="">(none)</option>
+          ${headers.map(header => `<option value="${escapeHtml(header)}"${guesses[field.key] === header ? ' selected' : ''}>${escapeHtml(header)}</option>`).join('')}
+        </select>
+      </label>
+    `).join('');
+
+    const importButton = document.getElementById('column-mapping-import');
+    const skipButton = document.getElementById('column-mapping-skip');
+
+    const close = (adapter) => {
+      importButton.onclick = null;
+      skipButton.onclick = null;
+      dialog.style.display = 'none';
+      resolve(adapter);
+    };
+
+    importButton.onclick = () => {
+      const mapping = {};
+      fieldsContainer.querySelectorAll('select').forEach(select => {
+        if (select.value) mapping[select.dataset.field] = select.value;
+      });
+
+      if (!mapping.Latitude || !mapping.Longitude) {
+        error.textContent = 'Please choose the latitude and longitude columns.';
+        return;
+      }
+
+      const entry = { headerLineIdx, mapping };
+      const adapter = createSavedMappingAdapter(entry);
+      const rows = filterValidCoordinateRows(adapter.parse(text, filename).rows);
+      if (rows.length === 0 || rows.some(row => Math.abs(row.Latitude) > 90 || Math.abs(row.Longitude) > 180)) {
+        error.textContent = 'The chosen latitude/longitude columns don\'t contain decimal-degree coordinates.';
+        return;
+      }
+
+      saveColumnMapping(signature, entry);
+      console.log(`Saved column mapping for ${filename}:`, mapping);
+      close(adapter);
+    };
+
+    skipButton.onclick = () => close(null);
+
+    dialog.style.display = 'flex';
+  });
+}
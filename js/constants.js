@@ -24,6 +24,39 @@ const FLIGHT_COLORS = [
   "#9B59B6", "#8E44AD", "#E74C3C", "#C0392B", "#D35400"   // Additional variety
 ];
 
+// Gradient track colors (RGB): green → yellow → red
+const TRACK_GRADIENT_COLORS = {
+  start: [0, 180, 100],
+  mid: [255, 200, 0],
+  end: [255, 50, 50]
+};
+
+// Data-driven track colors: color mode value -> log column(s) the track is colored by
+// (first numeric column of a row wins; symmetric scales are centered on zero)
+const TRACK_DATA_COLOR_MODES = {
+  'data-altitude': { label: 'Altitude', unit: 'ft', columns: ['AltMSL', 'AltGPS'], ramp: 'viridis' },
+  'data-agl': { label: 'Height AGL', unit: 'ft', columns: ['AGL'], ramp: 'viridis' },
+  'data-groundspeed': { label: 'Ground speed', unit: 'kt', columns: ['GndSpd'], ramp: 'green-red' },
+  'data-airspeed': { label: 'Indicated airspeed', unit: 'kt', columns: ['IAS'], ramp: 'green-red' },
+  'data-vspeed': { label: 'Vertical speed', unit: 'fpm', columns: ['VSpd'], ramp: 'blue-red', symmetric: true },
+  'data-rpm': { label: 'Engine RPM', unit: 'rpm', columns: ['E1 RPM'], ramp: 'rainbow' },
+  'data-fuelflow': { label: 'Fuel flow', unit: 'gph', columns: ['E1 FFlow'], ramp: 'rainbow' },
+  'data-cht': { label: 'CHT (cylinder 1)', unit: '°F', columns: ['E1 CHT1'], ramp: 'green-red' },
+  'data-oat': { label: 'Outside air temperature', unit: '°C', columns: ['OAT'], ramp: 'blue-red' }
+};
+
+// Color ramps (RGB stops, evenly spaced) for data-driven track colors
+const TRACK_COLOR_RAMPS = {
+  'green-red': { label: 'Green → yellow → red', stops: [TRACK_GRADIENT_COLORS.start, TRACK_GRADIENT_COLORS.mid, TRACK_GRADIENT_COLORS.end] },
+  'viridis': { label: 'Viridis', stops: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]] },
+  'blue-red': { label: 'Blue → white → red', stops: [[33, 102, 172], [247, 247, 247], [178, 24, 43]] },
+  'rainbow': { label: 'Rainbow', stops: [[48, 18, 59], [70, 134, 251], [27, 229, 181], [164, 252, 60], [251, 128, 34], [122, 4, 3]] }
+};
+const TRACK_DATA_COLOR_STEPS = 16; // Colors are binned into this many steps so neighbouring rows share segments
+const TRACK_DATA_MIN_RUN_POINTS = 10; // Shortest colored segment (keeps noisy columns from drawing thousands of segments)
+const TRACK_DATA_NO_VALUE_COLOR = '#999999'; // Rows without a value in the chosen column
+const TRACK_SIMPLIFY_EPSILON_KM = 0.0005; // Track simplification tolerance (~0.5 m)
+
 // Modern track styling
 const TRACK_STYLE = {
   weight: 4,           // Slightly thicker for modern look
@@ -56,9 +89,140 @@ const AIRPORT_TYPE_PRIORITY = {
   'heliport': 0,
   'seaplane_base': 1,
   'small_airport': 2,
+  'landing_site': 2,
   'medium_airport': 3,
   'large_airport': 3
 };
 
 // Intermediate stop detection
 const PROXIMITY_THRESHOLD_KM = 2; // Airports within this distance are considered same landing
+const THRESHOLD_CHANGE_DELAY_MS = 400; // Debounce before re-running detection after a threshold edit
+
+// Landing detection state machine
+const STOP_DETECTION_MODES = {
+  OR: 'or',   // Low OR slow counts as on the ground
+  AND: 'and'  // Must be low AND (slow or showing weight on wheels)
+};
+const STOP_KINDS = {
+  FULL_STOP: 'full-stop',
+  TOUCH_AND_GO: 'touch-and-go',
+  LOW_APPROACH: 'low-approach'
+};
+const LANDING_MIN_DWELL_SEC = 4; // Ground contact must last this long (filters AGL sensor dropouts)
+const LANDING_AGL_HYSTERESIS_FT = 30; // Leaving the ground needs AGL this far above the threshold
+const LANDING_SPEED_HYSTERESIS_KT = 15; // ...and ground speed this far above the threshold
+const WOW_MAX_VERTICAL_SPEED_FPM = 150; // Vertical speed this close to zero is consistent with weight on wheels
+const LANDING_TOUCHDOWN_MAX_SPEED_KT = 80; // A low AGL reading only counts below this ground speed (when altitude can't tell)
+const LANDING_GROUND_LEVEL_TOLERANCE_FT = 150; // ...or with the altitude this close to the ground level seen before it
+const LOW_APPROACH_MAX_AGL_FT = 200; // Descending below this without touching down is a low approach
+const LOW_APPROACH_HYSTERESIS_FT = 100; // The approach ends once back above LOW_APPROACH_MAX_AGL_FT + this
+const LOW_APPROACH_MAX_AIRPORT_DISTANCE_KM = 3; // Low approaches only count this close to an airport
+const OFF_AIRPORT_MAX_DISTANCE_KM = 5; // Landings farther than this from every airport are off-airport landings
+
+// Intermediate stop marker style per kind of stop
+const STOP_MARKER_STYLES = {
+  'full-stop': { radius: 5, fillColor: 'yellow', fillOpacity: 0.8 },
+  'touch-and-go': { radius: 5, fillColor: '#FF9900', fillOpacity: 0.8, dashArray: '3,2' },
+  'low-approach': { radius: 5, fillColor: 'white', fillOpacity: 0.2, dashArray: '2,3' }
+};
+const OFF_AIRPORT_MARKER_COLOR = '#B03AD0'; // Fill for off-airport landings (outlandings, backcountry strips)
+const STOP_KIND_LABELS = {
+  'full-stop': 'Full stop',
+  'touch-and-go': 'Touch-and-go',
+  'low-approach': 'Low approach'
+};
+
+// Profile chart
+const PROFILE_CHART_PADDING = { left: 56, right: 44, top: 10, bottom: 22 }; // Room for the axis labels (px)
+const PROFILE_TIME_STEPS_SEC = [60, 120, 300, 600, 900, 1800, 3600, 7200, 14400];
+const PROFILE_COLORS = {
+  msl: '#1f5fbf',
+  agl: '#a0522d',
+  gs: '#2e9d4a',
+  highlight: '#DD3333', // Point clicked on the track
+  cursor: '#333333'     // Point under the mouse
+};
+const PROFILE_CURSOR_STYLE = { radius: 7, color: 'white', weight: 2, fillColor: '#333333', fillOpacity: 1 };
+
+// Track hover readout
+const TRACK_INDEX_CELL_DEG = 0.01; // Row lookup grid cell (about 1 km north-south)
+
+// Timeline playback
+const PLAYBACK_SPEEDS = [1, 2, 5, 10, 30, 60, 120]; // Speed multipliers offered
+const PLAYBACK_DEFAULT_SPEED = 30;
+const PLAYBACK_SCRUBBER_STEPS = 1000; // Scrubber resolution
+const PLAYBACK_FADED_TRACK_OPACITY = 0.25; // Static track opacity while its flight is replayed
+const PLAYBACK_TRAIL_EXTRA_WEIGHT = 1; // The drawn trail is this much wider than the track
+const PLAYBACK_MAX_TRAIL_APPEND = 200; // Bigger jumps rebuild the trail instead of appending rows
+
+// Normalized log row schema: every import adapter maps its columns onto these
+// G3X column names (plus _timestamp, ms since epoch UTC) so detection and rendering work unchanged
+const NORMALIZED_COLUMNS = {
+  Latitude: 'degrees',
+  Longitude: 'degrees',
+  AltMSL: 'ft msl',
+  AltGPS: 'ft msl',
+  AltB: 'ft baro',
+  AGL: 'ft agl',
+  GndSpd: 'kt',
+  IAS: 'kt',
+  TAS: 'kt',
+  VSpd: 'fpm',
+  TRK: 'deg true',
+  HDG: 'deg',
+  OAT: 'deg C',
+  'E1 RPM': 'rpm',
+  'E1 FFlow': 'gph'
+};
+
+// G3X log preamble versions this app has been verified against
+const KNOWN_G3X_LOG_VERSIONS = ['1.00'];
+
+// Unit conversions
+const FEET_PER_METER = 3.28084;
+const KNOTS_PER_MPS = 1.94384;
+const KM_PER_NM = 1.852;
+
+// Flight timing
+const LOG_GAP_THRESHOLD_SEC = 10; // Time between log rows that counts as a logging gap
+const AIRBORNE_MIN_GROUND_SPEED_KT = 35; // Ground speed above which the aircraft is considered flying
+const AIRBORNE_MIN_AGL_FT = 20; // AGL above which the aircraft is considered flying (when AGL is logged)
+
+// Leg splitting
+const LEG_MIN_GROUND_TIME_SEC = 120; // Time on the ground between two flights that starts a new leg
+const LEG_MIN_AIRBORNE_TIME_SEC = 60; // Shorter airborne stretches are treated as sensor noise
+const LOG_SAMPLE_INTERVAL_SEC = 1; // Assumed row interval when a log has no timestamps
+
+// Stitching logs split by an avionics power cycle
+const STITCH_MAX_GAP_SEC = 300; // Longest logging gap that can still be the same flight
+const STITCH_MIN_DISTANCE_KM = 2; // Always allow this much position jump across the gap
+const STITCH_MAX_SPEED_KT = 250; // Fastest plausible ground speed across the gap
+
+// KML export
+const KML_MAX_TRACK_POINTS = 5000; // Per flight; longer logs are thinned evenly
+const KML_GRADIENT_SEGMENTS = 100; // Same segment count the gradient track modes draw
+
+// Background parsing
+const MAX_PARSE_WORKERS = 4; // Upper bound on the Web Worker pool size
+const PARSE_WORKER_READY_TIMEOUT_MS = 20000; // A worker that hasn't loaded its scripts by then is dropped
+
+// Airport spatial index
+const AIRPORT_INDEX_CELL_DEG = 1; // Grid cell size in degrees of latitude/longitude
+const AIRPORT_SEARCH_START_RADIUS_KM = 25; // Nearest-airport searches start here and double until satisfied
+const MAX_SEARCH_RADIUS_KM = 20100; // Just over half the Earth's circumference - covers every airport
+
+// Airport database cache (IndexedDB)
+const AIRPORT_CACHE_VERSION = 2; // Bump when the cached airport record shape changes
+const AIRPORT_CACHE_STALE_DAYS = 30; // Older cached data is flagged for a refresh
+
+// Runway identification
+const RUNWAY_ROLL_MIN_SPEED_KT = 20; // Takeoff roll / landing rollout rows are at least this fast
+const RUNWAY_MAX_HEADING_DIFF_DEG = 30; // Roll track must be this close to the runway heading
+const RUNWAY_MAX_CENTERLINE_OFFSET_KM = 0.15; // Roll must stay this close to the runway centerline
+
+// Custom landing sites
+const CUSTOM_SITE_DEFAULT_RADIUS_KM = 1; // A custom site claims landings this close to it
+const CUSTOM_SITE_MAX_RADIUS_KM = 10;
+
+// Manual airport corrections
+const AIRPORT_CORRECTION_CANDIDATES = 10; // Nearby airports offered when correcting a detection
@@ -0,0 +1,281 @@
+/**
+ * User-defined private airstrips and landing sites
+ * Sites are stored in localStorage and merged into the airports lookup, where they take
+ * precedence over database airports within their radius (see findCustomSiteAt)
+ */
+
+const CUSTOM_SITES_STORAGE_KEY = 'g3x-flight-map.custom-sites';
+
+const CUSTOM_SITE_TYPES = {
+  landing_site: 'Landing site',
+  small_airport: 'Small airport',
+  heliport: 'Heliport',
+  seaplane_base: 'Seaplane base'
+};
+
+// Database airports hidden by a custom site with the same ident, restored if the site is removed
+let shadowedAirports = {};
+
+/**
+ * Load custom sites from localStorage
+ * @returns {Array} Sites ({ ident, name, lat, lon, type, priority, radius })
+ */
+function loadCustomSites() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_SITES_STORAGE_KEY)) || [];
+  } catch (error) {
+    console.warn('Could not read custom sites:', error);
+    return [];
+  }
+}
+
+/**
+ * Save custom sites to localStorage
+ * @param {Array} sites - Sites to store
+ */
+function saveCustomSites(sites) {
+  localStorage.setItem(CUSTOM_SITES_STORAGE_KEY, JSON.stringify(sites));
+}
+
+/**
+ * Validate and fill in a custom site
+ * @param {Object} raw - { ident, name, lat, lon, type, priority, radius } (strings are fine)
+ * @returns {Object} Normalized site
+ * @throws {Error} If the ident or position is missing or invalid
+ */
+function normalizeCustomSite(raw) {
+  const ident = String(raw.ident || '').trim().toUpperCase();
+  if (!ident) {
+    throw new Error('Every site needs an ident');
+  }
+
+  const lat = parseFloat(raw.lat);
+  const lon = parseFloat(raw.lon);
+  if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`${ident}: latitude/longitude must be decimal degrees`);
+  }
+
+  const radius = parseFloat(raw.radius);
+  const priority = parseInt(raw.priority, 10);
+
+  return {
+    ident,
+    name: String(raw.name || '').trim() || ident,
+    lat,
+    lon,
+    type: CUSTOM_SITE_TYPES[raw.type] ? raw.type : 'landing_site',
+    priority: isNaN(priority) ? 0 : priority,
+    radius: isNaN(radius) || radius <= 0 ? CUSTOM_SITE_DEFAULT_RADIUS_KM : Math.min(radius, CUSTOM_SITE_MAX_RADIUS_KM)
+  };
+}
+
+/**
+ * Add or replace sites (matched by ident)
+ * @param {Array} newSites - Normalized sites
+ */
+function upsertCustomSites(newSites) {
+  const sites = loadCustomSites();
+  newSites.forEach(site => {
+    const idx = sites.findIndex(existing => existing.ident === site.ident);
+    if (idx >= 0) {
+      sites[idx] = site;
+    } else {
+      sites.push(site);
+    }
+  });
+  saveCustomSites(sites);
+}
+
+/**
+ * Remove a site
+ * @param {string} ident - Site ident
+ */
+function removeCustomSite(ident) {
+  saveCustomSites(loadCustomSites().filter(site => site.ident !== ident));
+}
+
+/**
+ * Parse a custom sites CSV (columns: ident, name, lat, lon, type, priority, radius)
+ * @param {string} text - CSV contents
+ * @returns {Object} { sites, errors }
+ */
+function parseCustomSitesCsv(text) {
+  const columnAliases = {
+    ident: ['ident', 'code', 'id'],
+    name: ['name'],
+    lat: ['lat', 'latitude', 'latitude_deg'],
+    lon: ['lon', 'lng', 'longitude', 'longitude_deg'],
+    type: ['type'],
+    priority: ['priority'],
+    radius: ['radius', 'radius_km']
+  };
+
+  const parsed = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim().toLowerCase()
+  });
+
+  const sites = [];
+  const errors = [];
+  parsed.data.forEach(row => {
+    const raw = {};
+    Object.entries(columnAliases).forEach(([field, aliases]) => {
+      const column = aliases.find(alias => row[alias] !== undefined);
+      raw[field] = column ? row[column] : undefined;
+    });
+
+    try {
+      sites.push(normalizeCustomSite(raw));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  return { sites, errors };
+}
+
+/**
+ * Merge the stored custom sites into the airports lookup and rebuild the index
+ */
+function applyCustomSites() {
+  // Undo the previous merge
+  Object.entries(shadowedAirports).forEach(([code, airport]) => {
+    if (!airports[code] || airports[code].custom) airports[code] = airport;
+  });
+  shadowedAirports = {};
+  Object.keys(airports).forEach(code => {
+    if (airports[code].custom) delete airports[code];
+  });
+
+  loadCustomSites().forEach(site => {
+    if (airports[site.ident]) shadowedAirports[site.ident] = airports[site.ident];
+    airports[site.ident] = {
+      lat: site.lat,
+      lon: site.lon,
+      name: site.name,
+      type: site.type,
+      custom: true,
+      priority: site.priority,
+      radius: site.radius
+    };
+  });
+
+  buildAirportIndex();
+
+  // Workers hold their own copy of the database
+  resetParseWorkers();
+}
+
+/**
+ * Fill the custom sites table
+ */
+function renderCustomSitesTable() {
+  const table = document.getElementById('custom-sites-table');
+  const sites = loadCustomSites();
+
+  if (sites.length === 0) {
+    table.innerHTML = '<tbody><tr><td class="custom-sites-empty">No custom sites yet</td></tr></tbody>';
+    return;
+  }
+
+  table.innerHTML = `
+    <thead><tr><th>Ident</th><th>Name</th><th>Position</th><th>Type</th><th>Priority</th><th>Radius (km)</th><th></th></tr></thead>
+    <tbody>${sites.map(site => `
+      <tr>
+        <td>${escapeHtml(site.ident)}</td>
+        <td>${escapeHtml(site.name)}</td>
+        <td>${site.lat.toFixed(5)}, ${site.lon.toFixed(5)}</td>
+        <td>${escapeHtml(CUSTOM_SITE_TYPES[site.type] || site.type)}</td>
+        <td>${site.priority}</td>
+        <td>${site.radius}</td>
+        <td><button type="button" data-remove="${escapeHtml(site.ident)}">Remove</button></td>
+      </tr>`).join('')}
+    </tbody>
+  `;
+}
+
+/**
+ * Show the custom sites dialog; loaded flights are re-matched when it closes if anything changed
+ */
+function showCustomSitesDialog() {
+  const dialog = document.getElementById('custom-sites-dialog');
+  const form = document.getElementById('custom-sites-form');
+  const table = document.getElementById('custom-sites-table');
+  const error = document.getElementById('custom-sites-error');
+  const importInput = document.getElementById('custom-sites-import');
+  const typeSelect = form.elements.type;
+  let changed = false;
+
+  typeSelect.innerHTML = Object.entries(CUSTOM_SITE_TYPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  error.textContent = '';
+  renderCustomSitesTable();
+
+  const siteChanged = () => {
+    changed = true;
+    applyCustomSites();
+    renderCustomSitesTable();
+  };
+
+  form.onsubmit = (event) => {
+    event.preventDefault();
+    try {
+      upsertCustomSites([normalizeCustomSite({
+        ident: form.elements.ident.value,
+        name: form.elements.name.value,
+        lat: form.elements.lat.value,
+        lon: form.elements.lon.value,
+        type: form.elements.type.value,
+        priority: form.elements.priority.value,
+        radius: form.elements.radius.value
+      })]);
+    } catch (validationError) {
+      error.textContent = validationError.message;
+      return;
+    }
+    error.textContent = '';
+    form.reset();
+    siteChanged();
+  };
+
+  document.getElementById('custom-sites-use-center').onclick = () => {
+    const center = map.getCenter();
+    form.elements.lat.value = center.lat.toFixed(6);
+    form.elements.lon.value = center.lng.toFixed(6);
+  };
+
+  table.onclick = (event) => {
+    const ident = event.target.dataset.remove;
+    if (!ident) return;
+    removeCustomSite(ident);
+    siteChanged();
+  };
+
+  importInput.onchange = async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+
+    const { sites, errors } = parseCustomSitesCsv(await file.text());
+    if (sites.length > 0) {
+      upsertCustomSites(sites);
+      siteChanged();
+    }
+    error.textContent = `Imported ${sites.length} site${sites.length === 1 ? '' : 's'} from ${file.name}` +
+      (errors.length > 0 ? `; skipped ${errors.length}: ${errors.join('; ')}` : '');
+  };
+
+  document.getElementById('custom-sites-close').onclick = () => {
+    dialog.style.display = 'none';
+
+    // Re-match airports on the loaded logs
+    if (changed && loadedLogs.length > 0) {
+      reprocessLoadedLogs();
+      redrawAllFlights();
+    }
+  };
+
+  dialog.style.display = 'flex';
+}
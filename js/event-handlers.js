@@ -41,7 +41,9 @@ function setupFileUploadHandler() {
 
     if (files.length === 0) return;
 
-    files.sort((a, b) => a.name.localeCompare(b.name)); // chronological order
+    // Saved trips (GeoJSON) are restored as they were; everything else is a flight log
+    const tripFiles = files.filter(isGeoJsonFile);
+    const logFiles = files.filter(file => !isGeoJsonFile(file));
 
     // Disable file input during processing
     fileInput.disabled = true;
@@ -53,8 +55,8 @@ function setupFileUploadHandler() {
     totalFilesToProcess = files.length;
     console.log(`Loading ${totalFilesToProcess} flight files...`);
 
-    // Load airports data if not already loaded
-    if (!airportsLoaded) {
+    // Load airports data if not already loaded (saved trips carry their own airports)
+    if (!airportsLoaded && logFiles.length > 0) {
       console.log('Loading airport database...');
       showLoadingMessage('Loading airport database...');
       try {
@@ -69,6 +71,17 @@ function setupFileUploadHandler() {
       }
     }
 
+    // Runways are optional - flights still load without them
+    if (isRunwayIdentificationEnabled() && !runwaysLoaded && logFiles.length > 0) {
+      showLoadingMessage('Loading runway database...');
+      try {
+        await loadRunwaysData();
+      } catch (error) {
+        console.error('Failed to load runways:', error);
+      }
+      hideLoadingMessage();
+    }
+
     // Show initial progress with bar at 0%
     showProgress(0, totalFilesToProcess, 'Processing files...');
 
@@ -115,67 +128,63 @@ function setupFileUploadHandler() {
     // Add the label repositioning handler
     map.on('zoomend', labelRepositioningHandler);
 
-    // Process files in parallel with progress tracking
+    // Process files in parallel (in the worker pool when available) with progress tracking
     console.log('Processing all flight files in parallel...');
 
     let completedCount = 0;
-    const parsePromises = files.map(file =>
-      parseFile(file).then(flightData => {
-        completedCount++;
-        showProgress(completedCount, files.length, `Processed ${completedCount} of ${files.length} files`);
-        return flightData;
-      }).catch(error => {
-        console.error(`Error processing flight ${file.name}:`, error);
-        completedCount++;
-        showProgress(completedCount, files.length, `Processed ${completedCount} of ${files.length} files`);
-        return null;
-      })
-    );
+    const trackProgress = (promise, file) => promise.then(result => {
+      completedCount++;
+      showProgress(completedCount, files.length, `Processed ${completedCount} of ${files.length} files`);
+      return result;
+    }).catch(error => {
+      console.error(`Error processing flight ${file.name}:`, error);
+      completedCount++;
+      showProgress(completedCount, files.length, `Processed ${completedCount} of ${files.length} files`);
+      return null;
+    });
+
+    const parsePromises = logFiles.map(file => trackProgress(parseFileInBackground(file), file));
+    const tripPromises = tripFiles.map(file => trackProgress(parseGeoJsonTripFile(file), file));
 
     // Wait for all files to parse
     const allFlightData = await Promise.all(parsePromises);
+    const trips = (await Promise.all(tripPromises)).filter(trip => trip !== null);
 
-    // Filter out any null results (empty files or errors)
+    // Filter out any null results (empty files or errors) and put flights in time order
     const validFlights = allFlightData.filter(data => data !== null);
+    validFlights.sort(compareFlightsByTime);
     console.log(`Successfully parsed ${validFlights.length} flights`);
 
+    // Restored trips bring their own airport records and color mode
+    trips.forEach(trip => {
+      Object.entries(trip.airportRecords).forEach(([code, record]) => {
+        if (!airports[code]) {
+          airports[code] = record;
+          addAirportToIndex(code, record);
+        }
+      });
+      if (trip.colorMode) {
+        document.getElementById('color-mode').value = trip.colorMode;
+        updateDataColorControls();
+      }
+      // The saved scale keeps the legend (and any newly loaded logs) on the colors the trip was drawn with
+      if (trip.colorScale && trip.colorScale.min !== null) {
+        document.getElementById('color-ramp').value = trip.colorScale.ramp;
+        document.getElementById('color-range-min').value = trip.colorScale.min;
+        document.getElementById('color-range-max').value = trip.colorScale.max;
+      }
+    });
+
     // Update progress message
     updateProgressMessage('Rendering flights to map...');
 
     // Store flight data for potential re-rendering
-    loadedFlights = validFlights;
-
-    // Check if we need to calculate global gradient info
-    const colorMode = document.getElementById('color-mode').value;
-    let totalPointsAllFlights = 0;
-    let cumulativePoints = [];
-
-    if (colorMode === COLOR_MODES.GRADIENT_GLOBAL) {
-      // Calculate cumulative point counts for global gradient
-      validFlights.forEach((flightData) => {
-        cumulativePoints.push(totalPointsAllFlights);
-        totalPointsAllFlights += flightData.latlngs.length;
-      });
-    }
+    loadedLogs = validFlights;
+    restoredFlights = trips.flatMap(trip => trip.flights);
+    refreshLoadedFlights();
 
     // Render all flights
-    validFlights.forEach((flightData, index) => {
-      try {
-        const color = getNextFlightColor();
-        console.log(`Rendering flight ${index + 1}/${validFlights.length}: ${flightData.filename} with color ${color}`);
-
-        const polyline = renderFlight(
-          flightData,
-          color,
-          colorMode === COLOR_MODES.GRADIENT_GLOBAL ? cumulativePoints[index] : 0,
-          colorMode === COLOR_MODES.GRADIENT_GLOBAL ? totalPointsAllFlights : 0
-        );
-
-        allFlightBounds.push(polyline.getBounds());
-      } catch (error) {
-        console.error(`Error rendering flight ${flightData.filename}:`, error);
-      }
-    });
+    renderAllFlights(loadedFlights);
 
     // Update progress message
     updateProgressMessage('Finalizing map view...');
@@ -197,6 +206,69 @@ function setupFileUploadHandler() {
   });
 }
 
+/**
+ * Setup event handlers that re-run stop detection when the thresholds change
+ */
+function setupThresholdHandlers() {
+  let redetectTimer = null;
+
+  const onThresholdChange = () => {
+    // Wait for the user to stop typing or clicking the spinner
+    clearTimeout(redetectTimer);
+    redetectTimer = setTimeout(() => {
+      // Only rebuild if logs are loaded
+      if (loadedLogs.length > 0) {
+        console.log('Stop detection thresholds changed, re-detecting intermediate stops...');
+        redetectIntermediateStops();
+        redrawAllFlights();
+      }
+    }, THRESHOLD_CHANGE_DELAY_MS);
+  };
+
+  document.getElementById("agl-threshold").addEventListener("input", onThresholdChange);
+  document.getElementById("speed-threshold").addEventListener("input", onThresholdChange);
+  document.getElementById("stop-detect-mode").addEventListener("change", onThresholdChange);
+}
+
+/**
+ * Setup event handler for the leg splitting checkbox
+ */
+function setupSplitLegsToggle() {
+  document.getElementById("split-legs").addEventListener("change", () => {
+    // Only rebuild if logs are loaded
+    if (loadedLogs.length > 0) {
+      refreshLoadedFlights();
+      redrawAllFlights();
+    }
+  });
+}
+
+/**
+ * Setup event handler for the runway identification checkbox
+ */
+function setupRunwayToggle() {
+  document.getElementById("identify-runways").addEventListener("change", async (event) => {
+    if (event.target.checked) {
+      showLoadingMessage('Loading runway database...');
+      try {
+        await loadRunwaysData();
+      } catch (error) {
+        alert('Failed to load runway database.');
+        event.target.checked = false;
+        return;
+      } finally {
+        hideLoadingMessage();
+      }
+    }
+
+    // Only rebuild if logs are loaded
+    if (loadedLogs.length > 0) {
+      refreshLoadedFlights();
+      redrawAllFlights();
+    }
+  });
+}
+
 /**
  * Setup event handler for color mode changes
  */
@@ -204,11 +276,34 @@ function setupColorModeHandler() {
   document.getElementById("color-mode").addEventListener("change", (event) => {
     console.log(`Color mode changed to: ${event.target.value}`);
 
+    // A range only makes sense for the column it was typed for
+    document.getElementById("color-range-min").value = '';
+    document.getElementById("color-range-max").value = '';
+    updateDataColorControls();
+
     // Only re-render if flights are loaded
     if (loadedFlights.length > 0) {
-      reRenderAllFlights();
+      redrawAllFlights();
     }
   });
+
+  // Ramp and range of the data-driven modes
+  ["color-ramp", "color-range-min", "color-range-max"].forEach(id => {
+    document.getElementById(id).addEventListener("change", () => {
+      if (loadedFlights.length > 0) {
+        redrawAllFlights();
+      }
+    });
+  });
+}
+
+/**
+ * Setup event handlers for the export buttons
+ */
+function setupExportHandlers() {
+  document.getElementById("export-kml").addEventListener("click", () => exportFlightsAsKml('kml'));
+  document.getElementById("export-kmz").addEventListener("click", () => exportFlightsAsKml('kmz'));
+  document.getElementById("export-geojson").addEventListener("click", exportTripAsGeoJson);
 }
 
 /**
@@ -331,6 +426,33 @@ function setupSynchronizedHoverEffects() {
   });
 }
 
+/**
+ * Setup airport data status display, refresh button and custom sites dialog
+ */
+function setupAirportDataControls() {
+  const refreshButton = document.getElementById('refresh-airports');
+
+  // Show what a previous session left in the cache
+  readAirportCacheInfo().then(info => {
+    if (!airportsLoaded && !airportsLoading) {
+      showAirportDataStatus(info, info ? 'cached' : 'none');
+    }
+  });
+
+  document.getElementById('edit-custom-sites').addEventListener('click', showCustomSitesDialog);
+
+  refreshButton.addEventListener('click', async () => {
+    refreshButton.disabled = true;
+    try {
+      await refreshAirportsData();
+    } catch (error) {
+      alert('Failed to refresh airport data. The previous airport data is still in use.');
+    } finally {
+      refreshButton.disabled = false;
+    }
+  });
+}
+
 /**
  * Setup all event handlers
  */
@@ -339,5 +461,14 @@ function setupEventHandlers() {
   setupFileUploadHandler();
   setupMarkerVisibilityHandler();
   setupColorModeHandler();
+  setupThresholdHandlers();
+  setupSplitLegsToggle();
+  setupRunwayToggle();
+  setupExportHandlers();
+  setupAirportDataControls();
   setupSynchronizedHoverEffects();
+  setupTrackColorLegend();
+  setupFlightTotalsPanel();
+  setupProfileChart();
+  setupPlayback();
 }
@@ -0,0 +1,332 @@
+/**
+ * KML/KMZ export of the rendered flights (for Google Earth)
+ */
+
+/**
+ * Escape text for use in XML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a CSS color ("#RRGGBB" or "rgb(r, g, b)") to a KML color (aabbggrr)
+ * @param {string} color - CSS color
+ * @param {number} opacity - Opacity (0 to 1)
+ * @returns {string} KML color
+ */
+function toKmlColor(color, opacity = 1) {
+  let r = 0, g = 0, b = 0;
+  const hex = color.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  const rgb = color.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i);
+  if (hex) {
+    [r, g, b] = [hex[1], hex[2], hex[3]].map(part => parseInt(part, 16));
+  } else if (rgb) {
+    [r, g, b] = [rgb[1], rgb[2], rgb[3]].map(part => parseInt(part, 10));
+  }
+
+  const toHex = value => Math.round(value).toString(16).padStart(2, '0');
+  return `${toHex(opacity * 255)}${toHex(b)}${toHex(g)}${toHex(r)}`;
+}
+
+/**
+ * Build the absolute-altitude track of a flight as KML coordinate tuples
+ * @param {Object} flight - Flight data
+ * @returns {Object} { coordinates: ["lon,lat,alt", ...], hasAltitude, rows: the log row of each coordinate }
+ */
+function getKmlTrackCoordinates(flight) {
+  const rows = flight.data || [];
+  const step = Math.max(1, Math.ceil(rows.length / KML_MAX_TRACK_POINTS));
+  let hasAltitude = false;
+
+  const formatKmlCoordinate = (row) => {
+    const lat = row.Latitude || row.latitude;
+    const lon = row.Longitude || row.longitude;
+    // GPS altitude is the geometric height Google Earth expects
+    const altitudeFt = typeof row.AltGPS === 'number' ? row.AltGPS : row.AltMSL;
+    if (typeof altitudeFt === 'number') {
+      hasAltitude = true;
+      return `${lon},${lat},${(altitudeFt / FEET_PER_METER).toFixed(1)}`;
+    }
+    return `${lon},${lat},0`;
+  };
+
+  const coordinates = [];
+  const coordinateRows = [];
+  for (let i = 0; i < rows.length; i += step) {
+    coordinates.push(formatKmlCoordinate(rows[i]));
+    coordinateRows.push(rows[i]);
+  }
+  // Always end exactly where the flight ended
+  if (rows.length > 0 && (rows.length - 1) % step !== 0) {
+    coordinates.push(formatKmlCoordinate(rows[rows.length - 1]));
+    coordinateRows.push(rows[rows.length - 1]);
+  }
+
+  // Flights restored without log rows only have their 2D track
+  if (coordinates.length === 0) {
+    flight.latlngs.forEach(([lat, lon]) => coordinates.push(`${lon},${lat},0`));
+  }
+
+  return { coordinates, hasAltitude, rows: coordinateRows };
+}
+
+/**
+ * Build a LineString placemark
+ * @param {string} name - Placemark name
+ * @param {Array} coordinates - KML coordinate tuples
+ * @param {string} color - CSS color of the line
+ * @param {boolean} hasAltitude - Whether coordinates carry real altitude
+ * @param {string} description - Optional HTML description
+ * @returns {string} KML Placemark
+ */
+function buildKmlLinePlacemark(name, coordinates, color, hasAltitude, description = '') {
+  return `
+      <Placemark>
+        <name>${escapeXml(name)}</name>${description ? `
+        <description>${escapeXml(description)}</description>` : ''}
+        <Style><LineStyle><color>${toKmlColor(color, TRACK_STYLE.opacity)}</color><width>${TRACK_STYLE.weight}</width></LineStyle></Style>
+        <LineString>
+          <tessellate>1</tessellate>
+          <altitudeMode>${hasAltitude ? 'absolute' : 'clampToGround'}</altitudeMode>
+          <coordinates>${coordinates.join(' ')}</coordinates>
+        </LineString>
+      </Placemark>`;
+}
+
+/**
+ * Build the KML folder for one flight, colored the way it is on the map
+ * @param {Object} flight - Flight data (renderStyle set by renderFlight)
+ * @returns {string} KML Folder
+ */
+function buildKmlFlightFolder(flight) {
+  const { coordinates, hasAltitude, rows } = getKmlTrackCoordinates(flight);
+  const style = flight.renderStyle || { color: SINGLE_FLIGHT_COLOR, colorMode: COLOR_MODES.SINGLE };
+
+  const descriptionParts = [];
+  if (flight.metadata && flight.metadata.tailNumber) descriptionParts.push(flight.metadata.tailNumber);
+  if (flight.departureAirport || flight.arrivalAirport) {
+    descriptionParts.push(`${formatAirportRunway(flight.departureAirport || '?', flight.departureRunway)} → ${formatAirportRunway(flight.arrivalAirport || '?', flight.arrivalRunway)}`);
+  }
+  if (typeof flight.startTime === 'number') {
+    descriptionParts.push(`${formatUtcTime(flight.startTime)}, block ${formatDuration(flight.blockTime)}`);
+  }
+  const description = descriptionParts.join('<br>');
+
+  let placemarks;
+  const isGradient = style.colorMode === COLOR_MODES.GRADIENT || style.colorMode === COLOR_MODES.GRADIENT_GLOBAL;
+  // A single point has no segments to color - it falls through to the single-color placemark
+  if (isGradient && coordinates.length >= 2) {
+    // Split the track into the same green → yellow → red segments as the map
+    const segmentCount = Math.min(coordinates.length - 1, KML_GRADIENT_SEGMENTS);
+    const step = Math.max(1, Math.floor((coordinates.length - 1) / segmentCount));
+    const pointCount = flight.latlngs.length;
+    const segments = [];
+
+    for (let i = 0; i < coordinates.length - 1; i += step) {
+      const fraction = i / (coordinates.length - 1);
+      const progress = style.colorMode === COLOR_MODES.GRADIENT_GLOBAL
+        ? (style.cumulativePointsBefore + fraction * (pointCount - 1)) / (style.totalPointsAllFlights - 1)
+        : fraction;
+      const [r, g, b] = getTrackGradientColor(progress);
+      const segment = coordinates.slice(i, Math.min(i + step, coordinates.length - 1) + 1);
+      segments.push(buildKmlLinePlacemark(`${flight.filename} (${segments.length + 1})`, segment,
+        `rgb(${r}, ${g}, ${b})`, hasAltitude, segments.length === 0 ? description : ''));
+    }
+    placemarks = segments.join('');
+  } else if (isDataColorMode(style.colorMode) && style.colorScale && rows.length > 1) {
+    // Same runs of one color as the map, colored by the chosen log column
+    const definition = TRACK_DATA_COLOR_MODES[style.colorScale.colorMode];
+    const colors = rows.map(row => getTrackValueColor(getTrackColorValue(row, definition), style.colorScale));
+    placemarks = buildTrackColorRuns(coordinates, colors).map((run, index) =>
+      buildKmlLinePlacemark(`${flight.filename} (${index + 1})`, run.points, run.color, hasAltitude, index === 0 ? description : '')
+    ).join('');
+  } else {
+    placemarks = buildKmlLinePlacemark(flight.filename, coordinates, style.color, hasAltitude, description);
+  }
+
+  return `
+    <Folder>
+      <name>${escapeXml(flight.filename)}</name>${placemarks}
+    </Folder>`;
+}
+
+/**
+ * Collect every departure, arrival and intermediate stop airport of the loaded flights
+ * @param {Array} flights - Flight data objects
+ * @returns {Array} Airport entries { code, role, lat, lon, flights }
+ */
+function collectExportAirports(flights) {
+  const entries = new Map();
+
+  const add = (code, role, fallbackLat, fallbackLon, flight) => {
+    if (!code) return;
+    const key = `${code}|${role}`;
+    if (!entries.has(key)) {
+      const airport = airports[code];
+      entries.set(key, {
+        code,
+        role,
+        name: airport ? airport.name : '',
+        lat: airport ? airport.lat : fallbackLat,
+        lon: airport ? airport.lon : fallbackLon,
+        flights: []
+      });
+    }
+    entries.get(key).flights.push(flight.filename);
+  };
+
+  // Off-airport landings have no code, so their coordinates stand in for it
+  const addLanding = (code, role, lat, lon, flight) => code
+    ? add(code, role, lat, lon, flight)
+    : add(formatLatLon(lat, lon), 'Off-airport landing', lat, lon, flight);
+
+  flights.forEach(flight => {
+    addLanding(flight.departureAirport, 'Departure', flight.start[0], flight.start[1], flight);
+    addLanding(flight.arrivalAirport, 'Arrival', flight.end[0], flight.end[1], flight);
+    flight.intermediateStops.forEach(stop => addLanding(stop.airport, 'Intermediate stop', stop.airportLat, stop.airportLon, flight));
+  });
+
+  return Array.from(entries.values());
+}
+
+/**
+ * Build a KML document with every flight in loadedFlights
+ * @param {Array} flights - Flight data objects
+ * @returns {string} KML document
+ */
+function buildFlightsKml(flights) {
+  const styleIds = {
+    'Departure': 'airport-departure',
+    'Arrival': 'airport-arrival',
+    'Intermediate stop': 'airport-stop',
+    'Off-airport landing': 'airport-off-airport'
+  };
+
+  const airportPlacemarks = collectExportAirports(flights).map(entry => `
+      <Placemark>
+        <name>${escapeXml(entry.code)}</name>
+        <description>${escapeXml(`${entry.name ? `${entry.name}<br>` : ''}${entry.role}<br>${entry.flights.join('<br>')}`)}</description>
+        <styleUrl>#${styleIds[entry.role]}</styleUrl>
+        <Point><coordinates>${entry.lon},${entry.lat},0</coordinates></Point>
+      </Placemark>`).join('');
+
+  const pointStyle = (id, color) => `
+    <Style id="${id}">
+      <IconStyle>
+        <color>${toKmlColor(color)}</color>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/airports.png</href></Icon>
+      </IconStyle>
+    </Style>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>G3X Flight Map</name>${pointStyle('airport-departure', '#00AA55')}${pointStyle('airport-arrival', '#DD3333')}${pointStyle('airport-stop', '#FFD700')}${pointStyle('airport-off-airport', OFF_AIRPORT_MARKER_COLOR)}
+    <Folder>
+      <name>Flights</name>${flights.map(buildKmlFlightFolder).join('')}
+    </Folder>
+    <Folder>
+      <name>Airports</name>${airportPlacemarks}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+// CRC-32 lookup table for the KMZ (zip) writer
+let crc32Table = null;
+
+/**
+ * Compute the CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} CRC-32 (unsigned)
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Package a KML document as a KMZ (zip archive with doc.kml, stored without compression)
+ * @param {string} kml - KML document
+ * @returns {Blob} KMZ file
+ */
+function buildKmz(kml) {
+  const encoder = new TextEncoder();
+  const name = encoder.encode('doc.kml');
+  const content = encoder.encode(kml);
+  const crc = crc32(content);
+
+  // Local file header
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034B50, true);
+  local.setUint16(4, 20, true);              // Version needed
+  local.setUint16(8, 0, true);               // Stored
+  local.setUint32(14, crc, true);
+  local.setUint32(18, content.length, true); // Compressed size
+  local.setUint32(22, content.length, true); // Uncompressed size
+  local.setUint16(26, name.length, true);
+
+  // Central directory entry
+  const central = new DataView(new ArrayBuffer(46));
+  central.setUint32(0, 0x02014B50, true);
+  central.setUint16(4, 20, true);            // Version made by
+  central.setUint16(6, 20, true);            // Version needed
+  central.setUint16(10, 0, true);            // Stored
+  central.setUint32(16, crc, true);
+  central.setUint32(20, content.length, true);
+  central.setUint32(24, content.length, true);
+  central.setUint16(28, name.length, true);
+  central.setUint32(42, 0, true);            // Offset of local header
+
+  // End of central directory
+  const centralSize = 46 + name.length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, 30 + name.length + content.length, true);
+
+  return new Blob([local, name, content, central, name, end], { type: 'application/vnd.google-earth.kmz' });
+}
+
+/**
+ * Export all loaded flights as KML or KMZ
+ * @param {string} format - 'kml' or 'kmz'
+ */
+function exportFlightsAsKml(format = 'kml') {
+  if (loadedFlights.length === 0) {
+    alert('Load some flights first.');
+    return;
+  }
+
+  const kml = buildFlightsKml(loadedFlights);
+  if (format === 'kmz') {
+    downloadBlob(buildKmz(kml), 'flights.kmz');
+  } else {
+    downloadBlob(new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' }), 'flights.kml');
+  }
+  console.log(`Exported ${loadedFlights.length} flights as ${format.toUpperCase()}`);
+}
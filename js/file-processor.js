@@ -1,131 +1,228 @@
 /**
- * CSV file processing and flight path rendering
+ * Flight log processing and flight path rendering
  */
 
 /**
- * Parse a CSV flight log file and return processed data
+ * Parse a flight log file (any format with a registered import adapter) and return processed data
  * @param {File} file - The file to process
- * @returns {Promise} Promise that resolves with flight data
+ * @returns {Promise} Promise that resolves with flight data (or null if the file can't be used)
  */
 function parseFile(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-    reader.onload = function (e) {
-      // Split lines and find the correct header row (third line)
-      const lines = e.target.result.split(/\r?\n/);
-      // Remove comment and extra header lines
-      const dataLines = lines.filter(
-        (line, idx) => idx === 2 || idx > 2
-      );
-      // Reconstruct CSV string with correct header
-      const cleanedCSV = dataLines.join("\n");
-      Papa.parse(cleanedCSV, {
-        header: true,
-        dynamicTyping: true,
-        complete: (results) => {
-          // Some files use 'Latitude'/'Longitude', not 'latitude'/'longitude'
-          // Filter for valid coordinates (handle both strings and numbers)
-          const data = results.data.filter(
-            (row) => {
-              const lat = row.Latitude || row.latitude;
-              const lon = row.Longitude || row.longitude;
-
-              // Check if values exist and can be converted to valid numbers
-              if (!lat || !lon) return false;
-
-              const latNum = typeof lat === 'number' ? lat : parseFloat(lat);
-              const lonNum = typeof lon === 'number' ? lon : parseFloat(lon);
-
-              return !isNaN(latNum) && !isNaN(lonNum) &&
-                     latNum !== 0 && lonNum !== 0; // Also filter out zero coordinates
-            }
-          );
-          if (data.length === 0) {
-            console.warn(`No valid coordinate data found in ${file.name}`);
-            resolve(null);
-            return;
-          }
-
-          // Use correct keys and ensure numeric values
-          const rawLatLngs = data.map((row) => {
-            const lat = row.Latitude || row.latitude;
-            const lon = row.Longitude || row.longitude;
-            return [
-              typeof lat === 'number' ? lat : parseFloat(lat),
-              typeof lon === 'number' ? lon : parseFloat(lon)
-            ];
-          });
-
-          // Simplify the polyline for better performance
-          // epsilon = 0.0005 km (~0.5 meters) - maintains visual accuracy while reducing points
-          const epsilon = 0.0005;
-          const latlngs = simplifyPolyline(rawLatLngs, epsilon);
-
-          console.log(`Simplified ${file.name}: ${rawLatLngs.length} points → ${latlngs.length} points (${Math.round((1 - latlngs.length/rawLatLngs.length) * 100)}% reduction)`);
-
-          const start = latlngs[0];
-          const end = latlngs[latlngs.length - 1];
-
-          // Extra validation - make sure start and end have valid coordinates
-          if (!start || !end || isNaN(start[0]) || isNaN(start[1]) || isNaN(end[0]) || isNaN(end[1])) {
-            console.error(`Invalid start/end coordinates in ${file.name}. Start: ${start}, End: ${end}`);
-            resolve(null);
-            return;
-          }
-
-          // Get and verify departure airport code
-          const suggestedCode = extractAirportCode(file.name);
-          const departureAirport = verifyAirportCode(suggestedCode, start[0], start[1]);
-
-          // Find arrival airport code
-          const arrivalAirport = findNearestAirport(end[0], end[1])?.code;
-
-          // Get threshold values from UI
-          const aglThreshold = parseFloat(document.getElementById('agl-threshold').value) || 20;
-          const speedThreshold = parseFloat(document.getElementById('speed-threshold').value) || 20;
-
-          // Detect intermediate stops
-          const intermediateStops = detectIntermediateStops(data, aglThreshold, speedThreshold);
-
-          // Filter out departure and arrival airports from intermediate stops
-          const filteredIntermediateStops = intermediateStops.filter(stop =>
-            stop.airport !== departureAirport && stop.airport !== arrivalAirport
-          );
-
-          console.log(`Flight ${file.name}: Found ${filteredIntermediateStops.length} intermediate stops`);
-
-          resolve({
-            filename: file.name,
-            latlngs,
-            data,
-            start,
-            end,
-            departureAirport,
-            arrivalAirport,
-            intermediateStops: filteredIntermediateStops
-          });
-        },
-        error: (error) => {
-          console.error(`Error parsing ${file.name}:`, error);
-          reject(error);
-        }
-      });
+    reader.onload = async function (e) {
+      const text = e.target.result;
+
+      // Pick the parser for this file's format, or ask the user which columns to use
+      const adapter = findImportAdapter(text, file.name) ||
+        await requestColumnMappingAdapter(text, file.name);
+      if (!adapter) {
+        console.warn(`Unrecognized log format in ${file.name}`);
+        resolve(null);
+        return;
+      }
+
+      try {
+        resolve(parseLogText(text, file.name, adapter));
+      } catch (error) {
+        console.error(`Error parsing ${file.name}:`, error);
+        reject(error);
+      }
     };
     reader.onerror = () => reject(reader.error);
     reader.readAsText(file);
   });
 }
 
+/**
+ * Parse log text with an import adapter and build the flight
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @param {Object} adapter - Import adapter that recognized the file
+ * @param {Object} options - Passed through to buildFlight (e.g. thresholds)
+ * @returns {Object|null} Flight data or null if the log has no usable coordinates
+ */
+function parseLogText(text, filename, adapter, options = {}) {
+  console.log(`Parsing ${filename} as ${adapter.name}`);
+  const parsed = adapter.parse(text, filename);
+
+  // Filter for valid coordinates (handle both strings and numbers)
+  const data = filterValidCoordinateRows(parsed.rows);
+  if (data.length === 0) {
+    console.warn(`No valid coordinate data found in ${filename}`);
+    return null;
+  }
+
+  return buildFlight(filename, data, parsed.metadata, {
+    suggestedCode: extractAirportCode(filename),
+    ...options
+  });
+}
+
+/**
+ * Keep only rows with usable coordinates
+ * @param {Array} rows - Normalized log rows
+ * @returns {Array} Rows with valid, non-zero latitude and longitude
+ */
+function filterValidCoordinateRows(rows) {
+  return rows.filter((row) => {
+    // Some files use 'Latitude'/'Longitude', not 'latitude'/'longitude'
+    const lat = row.Latitude || row.latitude;
+    const lon = row.Longitude || row.longitude;
+
+    // Check if values exist and can be converted to valid numbers
+    if (!lat || !lon) return false;
+
+    const latNum = typeof lat === 'number' ? lat : parseFloat(lat);
+    const lonNum = typeof lon === 'number' ? lon : parseFloat(lon);
+
+    return !isNaN(latNum) && !isNaN(lonNum) &&
+           latNum !== 0 && lonNum !== 0; // Also filter out zero coordinates
+  });
+}
+
+/**
+ * Read the intermediate stop detection thresholds from the UI
+ * @returns {Object} Object with aglThreshold (ft), speedThreshold (kt) and mode (STOP_DETECTION_MODES)
+ */
+function getStopDetectionThresholds() {
+  return {
+    aglThreshold: parseFloat(document.getElementById('agl-threshold').value) || 20,
+    speedThreshold: parseFloat(document.getElementById('speed-threshold').value) || 20,
+    mode: document.getElementById('stop-detect-mode').value || STOP_DETECTION_MODES.OR
+  };
+}
+
+/**
+ * Detect intermediate stops, leaving out the departure and arrival airports
+ * @param {Array} data - Flight data rows
+ * @param {string} departureAirport - Departure airport code
+ * @param {string} arrivalAirport - Arrival airport code
+ * @param {Object} thresholds - { aglThreshold, speedThreshold, mode }
+ * @returns {Array} Intermediate stops
+ */
+function findFlightIntermediateStops(data, departureAirport, arrivalAirport, thresholds) {
+  const { aglThreshold, speedThreshold, mode } = thresholds;
+
+  // Detect intermediate stops
+  const intermediateStops = detectIntermediateStops(data, aglThreshold, speedThreshold, mode);
+
+  // Filter out departure and arrival airports from intermediate stops
+  // (off-airport ones by distance, since they have no code to compare)
+  const first = data[0];
+  const last = data[data.length - 1];
+  const isAtFlightEnd = (stop) => [first, last].some(row =>
+    getDistance(stop.lat, stop.lon, row.Latitude || row.latitude, row.Longitude || row.longitude) < PROXIMITY_THRESHOLD_KM
+  );
+  return intermediateStops.filter(stop => stop.offAirport
+    ? !isAtFlightEnd(stop)
+    : stop.airport !== departureAirport && stop.airport !== arrivalAirport
+  );
+}
+
+/**
+ * Build a flight object (simplified track, airports, stops, timing) from parsed log rows
+ * @param {string} filename - Name used to identify the flight
+ * @param {Array} data - Log rows with valid coordinates and _timestamp set
+ * @param {Object|null} metadata - Log metadata from parseLogMetadata
+ * @param {Object} options - Optional suggestedCode for the departure airport and
+ *   thresholds (defaults to the UI values; workers have no DOM and pass them in)
+ * @returns {Object|null} Flight data or null if the track is unusable
+ */
+function buildFlight(filename, data, metadata, options = {}) {
+  const timing = computeFlightTiming(data);
+
+  // Use correct keys and ensure numeric values
+  const rawLatLngs = data.map((row) => {
+    const lat = row.Latitude || row.latitude;
+    const lon = row.Longitude || row.longitude;
+    return [
+      typeof lat === 'number' ? lat : parseFloat(lat),
+      typeof lon === 'number' ? lon : parseFloat(lon)
+    ];
+  });
+
+  // Simplify the polyline for better performance - maintains visual accuracy while reducing points
+  const latlngs = simplifyPolyline(rawLatLngs, TRACK_SIMPLIFY_EPSILON_KM);
+
+  console.log(`Simplified ${filename}: ${rawLatLngs.length} points → ${latlngs.length} points (${Math.round((1 - latlngs.length/rawLatLngs.length) * 100)}% reduction)`);
+
+  const start = latlngs[0];
+  const end = latlngs[latlngs.length - 1];
+
+  // Extra validation - make sure start and end have valid coordinates
+  if (!start || !end || isNaN(start[0]) || isNaN(start[1]) || isNaN(end[0]) || isNaN(end[1])) {
+    console.error(`Invalid start/end coordinates in ${filename}. Start: ${start}, End: ${end}`);
+    return null;
+  }
+
+  // Get and verify departure airport code
+  const departureAirport = verifyAirportCode(options.suggestedCode || null, start[0], start[1]);
+
+  // Find arrival airport code (null for an off-airport landing)
+  const arrivalAirport = findLandingAirport(end[0], end[1])?.code || null;
+
+  const filteredIntermediateStops = findFlightIntermediateStops(data, departureAirport, arrivalAirport,
+    options.thresholds || getStopDetectionThresholds());
+
+  console.log(`Flight ${filename}: Found ${filteredIntermediateStops.length} intermediate stops`);
+
+  return {
+    filename,
+    metadata,
+    latlngs,
+    data,
+    start,
+    end,
+    departureAirport,
+    arrivalAirport,
+    intermediateStops: filteredIntermediateStops,
+    ...timing
+  };
+}
+
+/**
+ * Mark a flight that starts or ends away from any airport, labelled with its coordinates
+ * @param {Object} flightData - Processed flight data
+ * @param {Array} position - [lat, lon] of the flight start or end
+ * @param {string} role - What the marker shows (e.g. 'Off-airport landing')
+ * @param {string} color - Color for the label connector line
+ */
+function renderOffAirportEnd(flightData, position, role, color) {
+  const labelCode = formatLatLon(position[0], position[1]);
+
+  L.circleMarker(position, {
+    radius: 7,
+    color: "white",
+    fillColor: OFF_AIRPORT_MARKER_COLOR,
+    fillOpacity: 1,
+    weight: 2,
+    className: 'airport-circle-marker airport-circle-marker-off-airport'
+  })
+    .bindPopup(airportPopupContent(labelCode, role,
+      () => flightData.restored ? [] : [{ flight: flightData, position }]))
+    .addTo(circleMarkersGroup);
+
+  if (!labeledAirports.has(labelCode)) {
+    const details = createAirportLabel(labelCode, position, color);
+    labeledAirports.set(labelCode, details);
+
+    const lowZoomMarker = createLowZoomMarker(labelCode, position, color, role);
+    lowZoomMarker.addTo(lowZoomMarkersGroup);
+  }
+}
+
 /**
  * Render a flight to the map
  * @param {Object} flightData - Processed flight data
  * @param {string} color - Color for this flight
  * @param {number} cumulativePointsBefore - For global gradient mode
  * @param {number} totalPointsAllFlights - For global gradient mode
+ * @param {Object|null} colorScale - For data-driven color modes (from getTrackColorScale)
  * @returns {L.Polyline} The polyline representing the flight path
  */
-function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPointsAllFlights = 0) {
-  const { filename, latlngs, start, end, departureAirport, arrivalAirport, intermediateStops } = flightData;
+function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPointsAllFlights = 0, colorScale = null) {
+  const { filename, metadata, latlngs, start, end, departureAirport, arrivalAirport, intermediateStops } = flightData;
 
   // Get color mode setting
   const colorMode = document.getElementById('color-mode').value;
@@ -151,61 +248,51 @@ function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPoints
 
   const polyline = L.polyline(latlngs, polylineOptions).addTo(map);
 
+  // Remember how this flight was colored so exports can match the map
+  flightData.renderStyle = {
+    color: trackColor,
+    colorMode,
+    cumulativePointsBefore,
+    totalPointsAllFlights,
+    colorScale
+  };
+
   // Apply gradient if selected and store gradient segments
-  if (colorMode === COLOR_MODES.GRADIENT) {
-    const segments = applyGradientToPolyline(polyline, latlngs);
+  let segments = [];
+  if (flightData.savedSegments && flightData.savedColorMode === colorMode) {
+    // Restored trips redraw the colors they were exported with
+    segments = drawSavedTrackSegments(polyline, flightData.savedSegments);
+    gradientSegments.push(...segments);
+  } else if (colorMode === COLOR_MODES.GRADIENT) {
+    segments = applyGradientToPolyline(polyline, latlngs);
     gradientSegments.push(...segments); // Store all gradient segments
   } else if (colorMode === COLOR_MODES.GRADIENT_GLOBAL) {
-    const segments = applyGlobalGradientToPolyline(polyline, latlngs, cumulativePointsBefore, totalPointsAllFlights);
+    segments = applyGlobalGradientToPolyline(polyline, latlngs, cumulativePointsBefore, totalPointsAllFlights);
     gradientSegments.push(...segments); // Store all gradient segments
+  } else if (isDataColorMode(colorMode) && colorScale) {
+    segments = applyDataColorsToPolyline(polyline, flightData, colorScale);
+    gradientSegments.push(...segments);
   }
 
+  flightTrackLayers.set(flightData, segments.length > 0 ? segments : [polyline]);
+
+  // Clicking the track (or its gradient segments) opens the profile chart at that point
+  [polyline, ...segments].forEach(layer => {
+    layer.on('click', event => showFlightProfile(flightData, event.latlng));
+  });
+
+  // Hovering it shows the nearest log row
+  bindTrackReadout(flightData, [polyline, ...segments]);
+
   // Add arrow decorations with improved visibility
   // Zoom-adaptive: spacing, size, and outline all adjust with zoom level
   const arrowConfig = getZoomAdaptiveArrowConfig(currentZoom);
 
+  // (the map's zoomend handler in map-init.js resizes them for every flight in flightDecorators)
   const decorator = L.polylineDecorator(polyline, {
-    patterns: [
-      {
-        offset: '10%',
-        repeat: arrowConfig.spacing,
-        symbol: L.Symbol.arrowHead({
-          pixelSize: arrowConfig.size,
-          polygon: true,
-          pathOptions: {
-            fillColor: ARROW_STYLE.fillColor,
-            fillOpacity: ARROW_STYLE.fillOpacity,
-            color: ARROW_STYLE.color,
-            weight: arrowConfig.weight
-          }
-        })
-      }
-    ]
+    patterns: getTrackArrowPatterns(arrowConfig)
   }).addTo(map);
 
-  // Update arrows on zoom
-  map.on('zoomend', () => {
-    const zoom = map.getZoom();
-    const config = getZoomAdaptiveArrowConfig(zoom);
-
-    decorator.setPatterns([
-      {
-        offset: '10%',
-        repeat: config.spacing,
-        symbol: L.Symbol.arrowHead({
-          pixelSize: config.size,
-          polygon: true,
-          pathOptions: {
-            fillColor: ARROW_STYLE.fillColor,
-            fillOpacity: ARROW_STYLE.fillOpacity,
-            color: ARROW_STYLE.color,
-            weight: config.weight
-          }
-        })
-      }
-    ]);
-  });
-
   // Add departure airport marker and label
   if (departureAirport) {
     const startMarker = L.circleMarker(start, {
@@ -216,7 +303,8 @@ function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPoints
       weight: 2,
       className: 'airport-circle-marker airport-circle-marker-departure'
     })
-      .bindPopup(`<b>${departureAirport}</b><br>Departure`)
+      .bindPopup(airportPopupContent(departureAirport, flightData.departureRunway ? `Departure, runway ${flightData.departureRunway}` : 'Departure',
+        () => flightData.restored ? [] : [{ flight: flightData, position: start }]))
       .addTo(circleMarkersGroup);
 
     // Store reference for hover effect
@@ -254,6 +342,8 @@ function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPoints
         lowZoomMarker.addTo(lowZoomMarkersGroup);
       }
     }
+  } else {
+    renderOffAirportEnd(flightData, start, 'Off-airport departure', color);
   }
 
   // Add arrival marker and label if we found an airport
@@ -266,7 +356,8 @@ function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPoints
       weight: 2,
       className: 'airport-circle-marker airport-circle-marker-arrival'
     })
-      .bindPopup(`<b>${arrivalAirport}</b><br>Arrival`)
+      .bindPopup(airportPopupContent(arrivalAirport, flightData.arrivalRunway ? `Arrival, runway ${flightData.arrivalRunway}` : 'Arrival',
+        () => flightData.restored ? [] : [{ flight: flightData, position: end }]))
       .addTo(circleMarkersGroup);
 
     // Store reference for hover effect
@@ -304,37 +395,70 @@ function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPoints
         lowZoomMarker.addTo(lowZoomMarkersGroup);
       }
     }
+  } else {
+    renderOffAirportEnd(flightData, end, 'Off-airport landing', color);
   }
 
   // Add intermediate stop markers
   const showIntermediateStops = document.getElementById('show-intermediate-stops').checked;
 
   intermediateStops.forEach(stop => {
-    // Add circle marker for intermediate stop
+    // Add circle marker for intermediate stop, styled by the kind of stop
+    // (off-airport landings keep the kind's outline but get their own fill and a lat/lon label)
+    const kind = stop.kind || STOP_KINDS.FULL_STOP;
+    const stopRole = formatStopRole(stop);
+    const labelCode = getStopLabelCode(stop);
     const stopMarker = L.circleMarker([stop.lat, stop.lon], {
-      radius: 5,
+      ...STOP_MARKER_STYLES[kind],
+      ...(stop.offAirport ? { fillColor: OFF_AIRPORT_MARKER_COLOR, fillOpacity: 0.9 } : {}),
       color: color,
-      fillColor: "yellow",
-      fillOpacity: 0.8,
     })
-      .bindPopup(`<b>${stop.airport}</b><br>Intermediate stop`)
+      .bindPopup(airportPopupContent(labelCode, stop.runway ? `${stopRole}, runway ${stop.runway}` : stopRole,
+        () => flightData.restored ? [] : [{ flight: flightData, position: [stop.lat, stop.lon] }]))
       .addTo(intermediateStopsCircleMarkersGroup);
 
     // Add airport code label if not already labeled (check both maps)
-    if (!labeledAirports.has(stop.airport) && !intermediateStopLabels.has(stop.airport)) {
+    if (!labeledAirports.has(labelCode) && !intermediateStopLabels.has(labelCode)) {
       const airportPos = [stop.airportLat, stop.airportLon];
       // Only add to map if checkbox is checked
-      const details = createAirportLabel(stop.airport, airportPos, color, null, showIntermediateStops);
-      intermediateStopLabels.set(stop.airport, details);
+      const details = createAirportLabel(labelCode, airportPos, color, null, showIntermediateStops);
+      intermediateStopLabels.set(labelCode, details);
 
       // Add low-zoom marker with "Intermediate stop" label
-      const lowZoomMarker = createLowZoomMarker(stop.airport, airportPos, color, "Intermediate stop");
+      const lowZoomMarker = createLowZoomMarker(labelCode, airportPos, color, stop.offAirport ? 'Off-airport landing' : "Intermediate stop");
       lowZoomMarker.addTo(intermediateStopsLowZoomMarkersGroup);
     }
   });
 
-    // Add polyline popup
-    polyline.bindPopup(`<b>${filename}</b>`);
+    // Add polyline popup (with the aircraft that flew it, when the log says so)
+    const aircraftLine = metadata && metadata.tailNumber ? `<br>${metadata.tailNumber}` : '';
+    const timingLine = flightData.startTime !== null && flightData.startTime !== undefined
+      ? `<br>${formatUtcTime(flightData.startTime)}`
+      : '';
+    const runwayLine = flightData.departureRunway || flightData.arrivalRunway
+      ? `<br>${formatAirportRunway(departureAirport || '?', flightData.departureRunway)} → ${formatAirportRunway(arrivalAirport || '?', flightData.arrivalRunway)}`
+      : '';
+    const legLine = flightData.legCount > 1 ? `<br>Leg ${flightData.legIndex + 1} of ${flightData.legCount}` : '';
+    const stitchLine = flightData.stitchedFrom
+      ? `<br><span class="stitched-note">⚡ Stitched from ${flightData.stitchedFrom.length} logs: ${flightData.stitchedFrom.join(', ')}</span>`
+      : '';
+    polyline.bindPopup(`<b>${filename}</b>${aircraftLine}${legLine}${runwayLine}${timingLine}${stitchLine}${buildFlightStatsHtml(getFlightStats(flightData))}`);
+
+    // Mark where power-cycled logs were joined
+    if (flightData.stitchPoints) {
+      flightData.stitchPoints.forEach(point => {
+        L.marker([point.lat, point.lon], {
+          icon: L.divIcon({
+            className: 'stitch-marker',
+            html: '<div class="stitch-marker-icon">⚡</div>',
+            iconSize: [18, 18],
+            iconAnchor: [9, 9]
+          })
+        })
+          .bindTooltip(`Logs stitched here (${Math.round(point.gap / 1000)} s without logging)`)
+          .addTo(stitchMarkersGroup);
+      });
+    }
 
     // Store polyline and decorator for potential re-rendering
     flightPolylines.push(polyline);
@@ -350,41 +474,72 @@ function renderFlight(flightData, color, cumulativePointsBefore = 0, totalPoints
 }
 
 /**
- * Re-render all flights with current color mode (without reloading files)
+ * Turn the loaded logs into the list of flights to render
+ * (logs split by a power cycle are merged first, then split per leg when enabled)
+ * @param {Array} logs - Flight data built from whole log files, in time order
+ * @returns {Array} Flights to render
  */
-function reRenderAllFlights() {
-  console.log('Re-rendering all flights with new color mode...');
+function buildFlightList(logs) {
+  let flights = stitchSplitLogs(logs);
 
-  // Remove all existing polylines and decorators
-  flightPolylines.forEach(polyline => {
-    if (map.hasLayer(polyline)) {
-      map.removeLayer(polyline);
-    }
-  });
-  flightDecorators.forEach(decorator => {
-    if (map.hasLayer(decorator)) {
-      map.removeLayer(decorator);
-    }
+  const splitLegs = document.getElementById('split-legs').checked;
+  if (splitLegs) {
+    flights = flights.flatMap(flight => splitFlightIntoLegs(flight));
+  }
+
+  flights.forEach(flight => {
+    applyAirportCorrections(flight);
+    assignFlightRunways(flight);
   });
+  return flights;
+}
+
+/**
+ * Re-run airport matching and stop detection on the loaded logs (after the airport data changes)
+ */
+function reprocessLoadedLogs() {
+  loadedLogs = loadedLogs
+    .map(log => buildFlight(log.filename, log.data, log.metadata, {
+      suggestedCode: extractAirportCode(log.filename)
+    }))
+    .filter(flight => flight !== null);
+  refreshLoadedFlights();
+}
 
-  // Remove all gradient segments
-  gradientSegments.forEach(segment => {
-    if (map.hasLayer(segment)) {
-      map.removeLayer(segment);
+/**
+ * Re-run stop detection on the loaded logs with the current thresholds
+ * (stitched logs and legs are rebuilt by refreshLoadedFlights and pick the thresholds up themselves)
+ */
+function redetectIntermediateStops() {
+  const thresholds = getStopDetectionThresholds();
+
+  loadedLogs.forEach(log => {
+    // Start over from the detected airports; manual corrections are re-applied by buildFlightList
+    if (log.detectedAirports) {
+      log.departureAirport = log.detectedAirports.departure;
+      log.arrivalAirport = log.detectedAirports.arrival;
+      log.detectedAirports = null;
     }
+    log.intermediateStops = findFlightIntermediateStops(log.data, log.departureAirport, log.arrivalAirport, thresholds);
   });
 
-  // Clear the arrays
-  flightPolylines = [];
-  flightDecorators = [];
-  gradientSegments = [];
-
-  // Clear flight bounds (will be recalculated)
-  allFlightBounds = [];
+  refreshLoadedFlights();
+}
 
-  // Reset color index
-  colorIndex = 0;
+/**
+ * Rebuild loadedFlights from the loaded logs and any restored trips, in time order
+ */
+function refreshLoadedFlights() {
+  loadedFlights = buildFlightList(loadedLogs)
+    .concat(restoredFlights)
+    .sort(compareFlightsByTime);
+}
 
+/**
+ * Render a list of flights to the map, assigning colors in order
+ * @param {Array} flights - Flight data objects
+ */
+function renderAllFlights(flights) {
   // Check if we need to calculate global gradient info
   const colorMode = document.getElementById('color-mode').value;
   let totalPointsAllFlights = 0;
@@ -392,26 +547,48 @@ function reRenderAllFlights() {
 
   if (colorMode === COLOR_MODES.GRADIENT_GLOBAL) {
     // Calculate cumulative point counts for global gradient
-    loadedFlights.forEach((flightData) => {
+    flights.forEach((flightData) => {
       cumulativePoints.push(totalPointsAllFlights);
       totalPointsAllFlights += flightData.latlngs.length;
     });
   }
 
-  // Re-render each flight
-  loadedFlights.forEach((flightData, index) => {
-    const color = getNextFlightColor();
-    console.log(`Re-rendering flight ${index + 1}/${loadedFlights.length}: ${flightData.filename} with color ${color}`);
-
-    const polyline = renderFlight(
-      flightData,
-      color,
-      colorMode === COLOR_MODES.GRADIENT_GLOBAL ? cumulativePoints[index] : 0,
-      colorMode === COLOR_MODES.GRADIENT_GLOBAL ? totalPointsAllFlights : 0
-    );
+  // Data-driven colors share one scale across all flights
+  const colorScale = isDataColorMode(colorMode) ? getTrackColorScale(flights, colorMode) : null;
+
+  // Render all flights
+  flights.forEach((flightData, index) => {
+    try {
+      // Restored trips keep the color they were saved with
+      const nextColor = getNextFlightColor();
+      const color = flightData.savedColor || nextColor;
+      console.log(`Rendering flight ${index + 1}/${flights.length}: ${flightData.filename} with color ${color}`);
+
+      const polyline = renderFlight(
+        flightData,
+        color,
+        colorMode === COLOR_MODES.GRADIENT_GLOBAL ? cumulativePoints[index] : 0,
+        colorMode === COLOR_MODES.GRADIENT_GLOBAL ? totalPointsAllFlights : 0,
+        colorScale
+      );
 
-    allFlightBounds.push(polyline.getBounds());
+      allFlightBounds.push(polyline.getBounds());
+    } catch (error) {
+      console.error(`Error rendering flight ${flightData.filename}:`, error);
+    }
   });
 
-  console.log(`Re-rendered ${loadedFlights.length} flights successfully`);
+  updateTrackColorLegend(colorScale);
+  updateFlightTotalsPanel(flights);
+  syncFlightProfile(flights);
+  syncPlayback(flights);
+}
+
+/**
+ * Rebuild every flight, marker and label from loadedFlights while keeping the current map view
+ */
+function redrawAllFlights() {
+  resetMap();
+  renderAllFlights(loadedFlights);
+  updateMarkerVisibility();
 }
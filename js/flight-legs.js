@@ -0,0 +1,86 @@
+/**
+ * Splitting a single log into separate flight legs
+ */
+
+/**
+ * Find the row indices where a log should be split into legs
+ * A split happens in the middle of every ground stretch long enough to be a real stop
+ * (touch-and-goes and short hops on the runway don't split)
+ * @param {Array} data - Flight data rows
+ * @returns {Array} Row indices where each new leg starts
+ */
+function findLegBoundaries(data) {
+  // Group rows into alternating airborne/ground runs
+  const runs = [];
+  data.forEach((row, idx) => {
+    const airborne = isAirborneRow(row);
+    const last = runs[runs.length - 1];
+    if (last && last.airborne === airborne) {
+      last.endIdx = idx;
+    } else {
+      runs.push({ airborne, startIdx: idx, endIdx: idx });
+    }
+  });
+
+  // Only airborne runs long enough to be flying count
+  const flights = runs.filter(run =>
+    run.airborne && getRowSpanSeconds(data, run.startIdx, run.endIdx) >= LEG_MIN_AIRBORNE_TIME_SEC
+  );
+
+  const boundaries = [];
+  for (let i = 1; i < flights.length; i++) {
+    const landedIdx = flights[i - 1].endIdx;
+    const takeoffIdx = flights[i].startIdx;
+
+    if (getRowSpanSeconds(data, landedIdx, takeoffIdx) >= LEG_MIN_GROUND_TIME_SEC) {
+      boundaries.push(Math.floor((landedIdx + takeoffIdx) / 2));
+    }
+  }
+
+  return boundaries;
+}
+
+/**
+ * Split a flight into separate legs at every full stop
+ * @param {Object} flight - Flight data built from a whole log
+ * @returns {Array} Array of leg flight objects (just [flight] if there is only one leg)
+ */
+function splitFlightIntoLegs(flight) {
+  const boundaries = findLegBoundaries(flight.data);
+  if (boundaries.length === 0) {
+    return [flight];
+  }
+
+  const cuts = [0, ...boundaries, flight.data.length];
+  const legCount = cuts.length - 1;
+  console.log(`Splitting ${flight.filename} into ${legCount} legs`);
+
+  const legs = [];
+  for (let i = 0; i < legCount; i++) {
+    const legData = flight.data.slice(cuts[i], cuts[i + 1]);
+    const leg = buildFlight(`${flight.filename} (leg ${i + 1}/${legCount})`, legData, flight.metadata, {
+      // The filename's airport code only describes where the log started
+      suggestedCode: i === 0 ? extractAirportCode(flight.filename) : null
+    });
+
+    if (leg) {
+      if (flight.stitchedFrom) {
+        // Keep the stitch marks that fall inside this leg
+        const stitchPoints = flight.stitchPoints.filter(point =>
+          point.time >= leg.startTime && point.time <= leg.endTime
+        );
+        if (stitchPoints.length > 0) {
+          leg.stitchedFrom = flight.stitchedFrom;
+          leg.stitchPoints = stitchPoints;
+        }
+      }
+
+      leg.sourceFilename = flight.filename;
+      leg.legIndex = i;
+      leg.legCount = legCount;
+      legs.push(leg);
+    }
+  }
+
+  return legs.length > 0 ? legs : [flight];
+}
@@ -0,0 +1,237 @@
+/**
+ * Per-flight statistics (distance, altitude, speed, climb/descent, fuel) and totals across all loaded flights
+ */
+
+// Leaflet control holding the totals panel
+let flightTotalsControl = null;
+
+/**
+ * Track length along a list of positions
+ * @param {Array} positions - [lat, lon] pairs
+ * @returns {number} Distance in km
+ */
+function getTrackDistance(positions) {
+  let distance = 0;
+  for (let i = 1; i < positions.length; i++) {
+    distance += getDistance(positions[i - 1][0], positions[i - 1][1], positions[i][0], positions[i][1]);
+  }
+  return distance;
+}
+
+/**
+ * Compute the statistics of one flight from its log rows
+ * Averages cover the airborne rows only, so taxiing and waiting at the hold short don't drag them down
+ * @param {Object} flight - Flight data
+ * @returns {Object} Statistics (null where the log has no matching column)
+ */
+function computeFlightStats(flight) {
+  const data = flight.data || [];
+
+  // Restored trips have no rows - the simplified track is the best there is
+  const positions = data.length > 0
+    ? data.map(row => [row.Latitude || row.latitude, row.Longitude || row.longitude])
+    : flight.latlngs;
+
+  const stats = {
+    trackDistance: getTrackDistance(positions),
+    straightDistance: getDistance(flight.start[0], flight.start[1], flight.end[0], flight.end[1]),
+    blockTime: flight.blockTime !== undefined ? flight.blockTime : null,
+    airborneTime: flight.airborneTime !== undefined ? flight.airborneTime : null,
+    maxAltitude: null,
+    avgAltitude: null,
+    maxGroundSpeed: null,
+    avgGroundSpeed: null,
+    maxClimbRate: null,
+    maxDescentRate: null,
+    fuelUsed: null
+  };
+
+  let altitudeSum = 0;
+  let altitudeCount = 0;
+  let speedSum = 0;
+  let speedCount = 0;
+  let fuelUsed = 0;
+  let hasFuelFlow = false;
+
+  data.forEach((row, i) => {
+    const altitude = getRowAltitude(row);
+    const airborne = isAirborneRow(row);
+
+    if (altitude !== null) {
+      stats.maxAltitude = Math.max(stats.maxAltitude ?? -Infinity, altitude);
+      if (airborne) {
+        altitudeSum += altitude;
+        altitudeCount++;
+      }
+    }
+
+    if (typeof row.GndSpd === 'number') {
+      stats.maxGroundSpeed = Math.max(stats.maxGroundSpeed ?? 0, row.GndSpd);
+      if (airborne) {
+        speedSum += row.GndSpd;
+        speedCount++;
+      }
+    }
+
+    if (typeof row.VSpd === 'number') {
+      stats.maxClimbRate = Math.max(stats.maxClimbRate ?? 0, row.VSpd);
+      stats.maxDescentRate = Math.max(stats.maxDescentRate ?? 0, -row.VSpd);
+    }
+
+    // Fuel flow (gph) integrated over time, skipping logging gaps
+    const fuelFlow = row['E1 FFlow'];
+    if (typeof fuelFlow === 'number') {
+      hasFuelFlow = true;
+      if (i > 0 && typeof data[i - 1]['E1 FFlow'] === 'number') {
+        const seconds = getRowSpanSeconds(data, i - 1, i);
+        if (seconds > 0 && seconds <= LOG_GAP_THRESHOLD_SEC) {
+          fuelUsed += (fuelFlow + data[i - 1]['E1 FFlow']) / 2 * seconds / 3600;
+        }
+      }
+    }
+  });
+
+  stats.avgAltitude = altitudeCount > 0 ? altitudeSum / altitudeCount : null;
+  stats.avgGroundSpeed = speedCount > 0 ? speedSum / speedCount : null;
+  stats.fuelUsed = hasFuelFlow ? fuelUsed : null;
+
+  return stats;
+}
+
+/**
+ * Statistics of a flight, computed once and kept on the flight (restored trips bring theirs along)
+ * @param {Object} flight - Flight data
+ * @returns {Object} Statistics from computeFlightStats
+ */
+function getFlightStats(flight) {
+  if (!flight.stats) {
+    flight.stats = computeFlightStats(flight);
+  }
+  return flight.stats;
+}
+
+/**
+ * Add up the statistics of several flights
+ * @param {Array} flights - Flight data objects
+ * @returns {Object} Totals (sums, and maxima for altitude/speed/rates)
+ */
+function computeFlightTotals(flights) {
+  const totals = {
+    flightCount: flights.length,
+    trackDistance: 0,
+    blockTime: 0,
+    airborneTime: 0,
+    fuelUsed: null,
+    maxAltitude: null,
+    maxGroundSpeed: null
+  };
+
+  flights.forEach(flight => {
+    const stats = getFlightStats(flight);
+    totals.trackDistance += stats.trackDistance;
+    totals.blockTime += stats.blockTime || 0;
+    totals.airborneTime += stats.airborneTime || 0;
+    if (stats.fuelUsed !== null) totals.fuelUsed = (totals.fuelUsed || 0) + stats.fuelUsed;
+    if (stats.maxAltitude !== null) totals.maxAltitude = Math.max(totals.maxAltitude ?? -Infinity, stats.maxAltitude);
+    if (stats.maxGroundSpeed !== null) totals.maxGroundSpeed = Math.max(totals.maxGroundSpeed ?? 0, stats.maxGroundSpeed);
+  });
+
+  return totals;
+}
+
+/**
+ * Format a value with a unit, or "–" when unknown
+ * @param {number|null} value - Value
+ * @param {string} unit - Unit suffix
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted value
+ */
+function formatStat(value, unit, decimals = 0) {
+  if (value === null || value === undefined || isNaN(value)) return '–';
+  return `${value.toFixed(decimals)} ${unit}`;
+}
+
+/**
+ * Build a two-column label/value table
+ * @param {Array} rows - [label, value] pairs
+ * @returns {string} Table HTML
+ */
+function buildStatsTable(rows) {
+  return `<table class="flight-stats">${rows.map(([label, value]) =>
+    `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</table>`;
+}
+
+/**
+ * Build the statistics lines for the polyline popup
+ * @param {Object} stats - Statistics from getFlightStats
+ * @returns {string} Popup HTML
+ */
+function buildFlightStatsHtml(stats) {
+  const rows = [
+    ['Distance', `${formatStat(stats.trackDistance / KM_PER_NM, 'nm', 1)} (direct ${formatStat(stats.straightDistance / KM_PER_NM, 'nm', 1)})`],
+    ['Block / air', `${formatDuration(stats.blockTime)} / ${formatDuration(stats.airborneTime)}`],
+    ['Altitude', `max ${formatStat(stats.maxAltitude, 'ft')} · avg ${formatStat(stats.avgAltitude, 'ft')}`],
+    ['Ground speed', `max ${formatStat(stats.maxGroundSpeed, 'kt')} · avg ${formatStat(stats.avgGroundSpeed, 'kt')}`],
+    ['Climb / descent', `${formatStat(stats.maxClimbRate, 'fpm')} / ${formatStat(stats.maxDescentRate, 'fpm')}`],
+    ['Fuel used', formatStat(stats.fuelUsed, 'gal', 1)]
+  ];
+
+  return buildStatsTable(rows);
+}
+
+/**
+ * Build the totals panel content
+ * @param {Object} totals - Totals from computeFlightTotals
+ * @returns {string} Panel HTML
+ */
+function buildFlightTotalsHtml(totals) {
+  const rows = [
+    ['Flights', String(totals.flightCount)],
+    ['Distance', formatStat(totals.trackDistance / KM_PER_NM, 'nm', 0)],
+    ['Block time', formatDuration(totals.blockTime)],
+    ['Air time', formatDuration(totals.airborneTime)],
+    ['Fuel used', formatStat(totals.fuelUsed, 'gal', 1)],
+    ['Highest', formatStat(totals.maxAltitude, 'ft')],
+    ['Fastest', formatStat(totals.maxGroundSpeed, 'kt')]
+  ];
+
+  return buildStatsTable(rows);
+}
+
+/**
+ * Show the totals of the given flights in the totals panel (hidden when there are none)
+ * @param {Array} flights - Flight data objects
+ */
+function updateFlightTotalsPanel(flights) {
+  if (!flightTotalsControl) return;
+
+  const container = flightTotalsControl.getContainer();
+  container.style.display = flights.length > 0 ? '' : 'none';
+  container.querySelector('.flight-totals-body').innerHTML = buildFlightTotalsHtml(computeFlightTotals(flights));
+}
+
+/**
+ * Add the collapsible totals panel to the map
+ */
+function setupFlightTotalsPanel() {
+  flightTotalsControl = L.control({ position: 'bottomleft' });
+
+  flightTotalsControl.onAdd = () => {
+    const container = L.DomUtil.create('div', 'flight-totals');
+    container.style.display = 'none';
+    container.innerHTML = `
+      <button type="button" class="flight-totals-header">Totals</button>
+      <div class="flight-totals-body"></div>`;
+
+    // Keep clicks and scrolling inside the panel from moving the map
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+
+    container.querySelector('.flight-totals-header').addEventListener('click', () => {
+      container.classList.toggle('collapsed');
+    });
+    return container;
+  };
+
+  flightTotalsControl.addTo(map);
+}
@@ -0,0 +1,100 @@
+/**
+ * Stitching logs that were split by an avionics power cycle
+ */
+
+/**
+ * Check whether the next log continues the previous one (same flight, airborne across the break)
+ * @param {Object} previous - Earlier flight (whole log)
+ * @param {Object} next - Following flight (whole log)
+ * @returns {boolean} True if the two logs should be merged
+ */
+function shouldStitchLogs(previous, next) {
+  if (typeof previous.endTime !== 'number' || typeof next.startTime !== 'number') {
+    return false;
+  }
+
+  // Different aircraft never stitch
+  const previousSystem = previous.metadata && previous.metadata.systemId;
+  const nextSystem = next.metadata && next.metadata.systemId;
+  if (previousSystem && nextSystem && previousSystem !== nextSystem) {
+    return false;
+  }
+
+  const gapSec = (next.startTime - previous.endTime) / 1000;
+  if (gapSec < 0 || gapSec > STITCH_MAX_GAP_SEC) {
+    return false;
+  }
+
+  // Only a break while flying leaves bogus departure/arrival markers
+  const lastRow = previous.data[previous.data.length - 1];
+  const firstRow = next.data[0];
+  if (!isAirborneRow(lastRow) && !isAirborneRow(firstRow)) {
+    return false;
+  }
+
+  // The position jump has to be flyable in the time the logs were off
+  const distance = getDistance(previous.end[0], previous.end[1], next.start[0], next.start[1]);
+  const maxDistance = Math.max(STITCH_MIN_DISTANCE_KM, (gapSec / 3600) * STITCH_MAX_SPEED_KT * KM_PER_NM);
+  return distance <= maxDistance;
+}
+
+/**
+ * Merge consecutive logs that belong to the same flight
+ * @param {Array} logs - Flight data built from whole log files, in time order
+ * @returns {Array} Flights with power-cycled logs merged into one (stitchedFrom/stitchPoints set)
+ */
+function stitchSplitLogs(logs) {
+  const result = [];
+  let group = [];
+
+  const flushGroup = () => {
+    if (group.length === 1) {
+      result.push(group[0]);
+    } else if (group.length > 1) {
+      result.push(mergeLogs(group));
+    }
+    group = [];
+  };
+
+  logs.forEach(log => {
+    const previous = group[group.length - 1];
+    if (previous && !shouldStitchLogs(previous, log)) {
+      flushGroup();
+    }
+    group.push(log);
+  });
+  flushGroup();
+
+  return result;
+}
+
+/**
+ * Merge a group of logs into one flight
+ * @param {Array} group - Consecutive logs of the same flight
+ * @returns {Object} Merged flight data
+ */
+function mergeLogs(group) {
+  const first = group[0];
+  const data = group.flatMap(log => log.data);
+
+  // Remember where each break was so it can be shown on the map
+  const stitchPoints = group.slice(1).map((log, idx) => ({
+    lat: log.start[0],
+    lon: log.start[1],
+    time: log.startTime,
+    gap: log.startTime - group[idx].endTime
+  }));
+
+  console.log(`Stitching ${group.length} logs into one flight: ${group.map(log => log.filename).join(', ')}`);
+
+  const merged = buildFlight(first.filename, data, first.metadata, {
+    suggestedCode: extractAirportCode(first.filename)
+  });
+  if (!merged) {
+    return first;
+  }
+
+  merged.stitchedFrom = group.map(log => log.filename);
+  merged.stitchPoints = stitchPoints;
+  return merged;
+}
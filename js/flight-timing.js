@@ -0,0 +1,189 @@
+/**
+ * Flight timing: UTC timestamps, block/airborne time and logging gaps
+ */
+
+/**
+ * Build a UTC timestamp for a log row from the Lcl Date, Lcl Time and UTCOfst columns
+ * @param {Object} row - Parsed CSV row
+ * @returns {number|null} Milliseconds since the epoch (UTC) or null if the row has no usable time
+ */
+function parseLogTimestamp(row) {
+  const date = row['Lcl Date'];
+  const time = row['Lcl Time'];
+  if (!date || !time) return null;
+
+  const dateMatch = String(date).trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  const timeMatch = String(time).trim().match(/^(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d+))?$/);
+  if (!dateMatch || !timeMatch) return null;
+
+  const localMs = Date.UTC(
+    parseInt(dateMatch[1], 10),
+    parseInt(dateMatch[2], 10) - 1,
+    parseInt(dateMatch[3], 10),
+    parseInt(timeMatch[1], 10),
+    parseInt(timeMatch[2], 10),
+    parseInt(timeMatch[3], 10),
+    timeMatch[4] ? Math.round(parseFloat(`0.${timeMatch[4]}`) * 1000) : 0
+  );
+
+  // UTCOfst is the local offset from UTC (e.g. "-05:00"), so UTC = local - offset
+  return localMs - parseUtcOffsetMinutes(row.UTCOfst) * 60000;
+}
+
+/**
+ * Parse a G3X UTC offset value ("-05:00", "+5:30", "-5") into minutes
+ * @param {string|number} offset - UTCOfst column value
+ * @returns {number} Offset in minutes (0 if missing or unparseable)
+ */
+function parseUtcOffsetMinutes(offset) {
+  if (offset === undefined || offset === null || offset === '') return 0;
+  if (typeof offset === 'number') return offset * 60;
+
+  const match = String(offset).trim().match(/^([+-])?(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return 0;
+
+  const minutes = parseInt(match[2], 10) * 60 + (match[3] ? parseInt(match[3], 10) : 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Attach a UTC timestamp (row._timestamp) to every row that has date/time columns
+ * @param {Array} data - Flight data rows
+ * @returns {Array} The same rows
+ */
+function annotateTimestamps(data) {
+  data.forEach(row => {
+    row._timestamp = parseLogTimestamp(row);
+  });
+  return data;
+}
+
+/**
+ * Check whether a log row looks like the aircraft is flying
+ * @param {Object} row - Flight data row
+ * @returns {boolean} True if airborne
+ */
+function isAirborneRow(row) {
+  const groundSpeed = row.GndSpd !== undefined && row.GndSpd !== null ? row.GndSpd : 0;
+  if (groundSpeed < AIRBORNE_MIN_GROUND_SPEED_KT) return false;
+
+  // AGL is not logged by every unit; when it is, use it to exclude the takeoff roll
+  if (typeof row.AGL === 'number') {
+    return row.AGL > AIRBORNE_MIN_AGL_FT;
+  }
+  return true;
+}
+
+/**
+ * Duration of a stretch of log rows in seconds
+ * @param {Array} data - Flight data rows
+ * @param {number} startIdx - First row index
+ * @param {number} endIdx - Last row index
+ * @returns {number} Duration in seconds
+ */
+function getRowSpanSeconds(data, startIdx, endIdx) {
+  const startTime = data[startIdx]._timestamp;
+  const endTime = data[endIdx]._timestamp;
+
+  if (typeof startTime === 'number' && typeof endTime === 'number') {
+    return (endTime - startTime) / 1000;
+  }
+
+  // No timestamps - fall back to the G3X logging rate
+  return (endIdx - startIdx) * LOG_SAMPLE_INTERVAL_SEC;
+}
+
+/**
+ * Compute start/end times, block time, airborne time and logging gaps for a flight
+ * @param {Array} data - Flight data rows with _timestamp set
+ * @returns {Object} Timing info (times in ms since epoch, durations in ms)
+ */
+function computeFlightTiming(data) {
+  let startTime = null;
+  let endTime = null;
+  let airborneTime = 0;
+  const gaps = [];
+
+  let previous = null;
+  let previousIdx = -1;
+
+  data.forEach((row, idx) => {
+    const time = row._timestamp;
+    if (time === null || time === undefined) return;
+
+    if (startTime === null) startTime = time;
+    endTime = time;
+
+    if (previous) {
+      const dt = time - previous._timestamp;
+
+      if (dt > LOG_GAP_THRESHOLD_SEC * 1000) {
+        // Logging stopped (power cycle, SD card hiccup, ...) - don't count it as flown time
+        gaps.push({
+          start: previous._timestamp,
+          end: time,
+          duration: dt,
+          startIdx: previousIdx,
+          endIdx: idx
+        });
+      } else if (dt > 0 && isAirborneRow(previous)) {
+        airborneTime += dt;
+      }
+    }
+
+    previous = row;
+    previousIdx = idx;
+  });
+
+  return {
+    startTime,
+    endTime,
+    blockTime: startTime !== null ? endTime - startTime : null,
+    airborneTime: startTime !== null ? airborneTime : null,
+    gaps
+  };
+}
+
+/**
+ * Compare two flights by their start time (falls back to filename when a log has no time)
+ * @param {Object} a - Flight data
+ * @param {Object} b - Flight data
+ * @returns {number} Sort order
+ */
+function compareFlightsByTime(a, b) {
+  const aTime = a.startTime;
+  const bTime = b.startTime;
+
+  if (aTime !== null && aTime !== undefined && bTime !== null && bTime !== undefined && aTime !== bTime) {
+    return aTime - bTime;
+  }
+  if ((aTime === null || aTime === undefined) !== (bTime === null || bTime === undefined)) {
+    // Timed flights first
+    return aTime === null || aTime === undefined ? 1 : -1;
+  }
+  return a.filename.localeCompare(b.filename);
+}
+
+/**
+ * Format a duration for display
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} Duration like "1h 23m" (or "–" when unknown)
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined || isNaN(ms)) return '–';
+
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+/**
+ * Format a UTC timestamp for display
+ * @param {number|null} time - Milliseconds since epoch
+ * @returns {string} Time like "2024-07-14 15:23Z" (or "–" when unknown)
+ */
+function formatUtcTime(time) {
+  if (time === null || time === undefined || isNaN(time)) return '–';
+  return new Date(time).toISOString().slice(0, 16).replace('T', ' ') + 'Z';
+}
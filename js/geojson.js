@@ -0,0 +1,238 @@
+/**
+ * GeoJSON export and import of a processed trip
+ * (flight LineStrings, airport Points and stop Points - restoring skips log parsing and airport lookups)
+ */
+
+const GEOJSON_TRIP_VERSION = 1;
+
+/**
+ * Check whether a file is a saved GeoJSON trip
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for .geojson/.json files
+ */
+function isGeoJsonFile(file) {
+  return /\.(geo)?json$/i.test(file.name);
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the processed flights
+ * @param {Array} flights - Flight data objects (as rendered)
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function buildTripGeoJson(flights) {
+  const features = [];
+  const airportCodes = new Set();
+  let colorScale = null;
+
+  flights.forEach((flight, flightIndex) => {
+    const style = flight.renderStyle || {};
+    if (style.colorScale) colorScale = style.colorScale;
+
+    // Gradient and data-driven tracks are saved as drawn, since the restored trip has no rows to color them from
+    const isMultiColored = style.colorMode && style.colorMode !== COLOR_MODES.SINGLE && style.colorMode !== COLOR_MODES.MULTI;
+    const trackSegments = isMultiColored
+      ? (flightTrackLayers.get(flight) || []).map(layer => ({
+        color: layer.options.color,
+        coordinates: layer.getLatLngs().map(latlng => [latlng.lng, latlng.lat])
+      }))
+      : null;
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: flight.latlngs.map(([lat, lon]) => [lon, lat])
+      },
+      properties: {
+        featureType: 'flight',
+        flightIndex,
+        filename: flight.filename,
+        color: style.color || null,
+        trackSegments,
+        metadata: flight.metadata || null,
+        start: flight.start,
+        end: flight.end,
+        departureAirport: flight.departureAirport || null,
+        arrivalAirport: flight.arrivalAirport || null,
+        departureRunway: flight.departureRunway || null,
+        arrivalRunway: flight.arrivalRunway || null,
+        startTime: flight.startTime !== undefined ? flight.startTime : null,
+        endTime: flight.endTime !== undefined ? flight.endTime : null,
+        blockTime: flight.blockTime !== undefined ? flight.blockTime : null,
+        airborneTime: flight.airborneTime !== undefined ? flight.airborneTime : null,
+        gaps: flight.gaps || [],
+        sourceFilename: flight.sourceFilename || null,
+        legIndex: flight.legIndex !== undefined ? flight.legIndex : null,
+        legCount: flight.legCount !== undefined ? flight.legCount : null,
+        stitchedFrom: flight.stitchedFrom || null,
+        stitchPoints: flight.stitchPoints || null,
+        stats: getFlightStats(flight)
+      }
+    });
+
+    flight.intermediateStops.forEach((stop, stopIndex) => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [stop.lon, stop.lat] },
+        properties: { featureType: 'stop', flightIndex, stopIndex, ...stop }
+      });
+      if (stop.airport) airportCodes.add(stop.airport);
+    });
+
+    if (flight.departureAirport) airportCodes.add(flight.departureAirport);
+    if (flight.arrivalAirport) airportCodes.add(flight.arrivalAirport);
+  });
+
+  // Airport records used for label placement, so the restored map doesn't need the database
+  airportCodes.forEach(code => {
+    const airport = airports[code];
+    if (!airport) return;
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [airport.lon, airport.lat] },
+      properties: { featureType: 'airport', code, ...airport }
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    metadata: {
+      generator: 'g3x-flight-map',
+      version: GEOJSON_TRIP_VERSION,
+      colorMode: document.getElementById('color-mode').value,
+      colorScale,
+      exportedAt: new Date().toISOString()
+    },
+    features
+  };
+}
+
+/**
+ * Restore flights from a GeoJSON trip
+ * @param {Object} geojson - Parsed FeatureCollection from buildTripGeoJson
+ * @returns {Object} { flights, airportRecords, colorMode, colorScale }
+ */
+function restoreTripFromGeoJson(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Not a GeoJSON FeatureCollection');
+  }
+
+  const flightsByIndex = new Map();
+  const stopsByFlight = new Map();
+  const airportRecords = {};
+  const colorMode = geojson.metadata ? geojson.metadata.colorMode : null;
+  const colorScale = geojson.metadata ? geojson.metadata.colorScale || null : null;
+
+  // Saved colors are only the flights' own colors in multi-color mode (single-color trips save one color for all)
+  const keepSavedColors = colorMode === COLOR_MODES.MULTI;
+
+  geojson.features.forEach(feature => {
+    const props = feature.properties || {};
+    const geometry = feature.geometry || {};
+
+    if (props.featureType === 'flight' && geometry.type === 'LineString') {
+      const latlngs = geometry.coordinates.map(([lon, lat]) => [lat, lon]);
+      flightsByIndex.set(props.flightIndex, {
+        filename: props.filename,
+        metadata: props.metadata,
+        latlngs,
+        data: [],
+        start: props.start || latlngs[0],
+        end: props.end || latlngs[latlngs.length - 1],
+        departureAirport: props.departureAirport,
+        arrivalAirport: props.arrivalAirport,
+        departureRunway: props.departureRunway || null,
+        arrivalRunway: props.arrivalRunway || null,
+        intermediateStops: [],
+        startTime: props.startTime,
+        endTime: props.endTime,
+        blockTime: props.blockTime,
+        airborneTime: props.airborneTime,
+        gaps: props.gaps || [],
+        stats: props.stats || null,
+        savedColor: keepSavedColors ? props.color : undefined,
+        savedSegments: props.trackSegments || null,
+        savedColorMode: colorMode,
+        restored: true,
+        ...(props.legCount ? { sourceFilename: props.sourceFilename, legIndex: props.legIndex, legCount: props.legCount } : {}),
+        ...(props.stitchedFrom ? { stitchedFrom: props.stitchedFrom, stitchPoints: props.stitchPoints } : {})
+      });
+    } else if (props.featureType === 'stop') {
+      const { featureType, flightIndex, stopIndex, ...stop } = props;
+      if (!stopsByFlight.has(flightIndex)) stopsByFlight.set(flightIndex, []);
+      stopsByFlight.get(flightIndex)[stopIndex] = stop;
+    } else if (props.featureType === 'airport') {
+      const { featureType, code, ...record } = props;
+      airportRecords[code] = record;
+    }
+  });
+
+  const flights = Array.from(flightsByIndex.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([index, flight]) => {
+      flight.intermediateStops = (stopsByFlight.get(index) || []).filter(Boolean);
+      return flight;
+    });
+
+  return {
+    flights,
+    airportRecords,
+    colorMode,
+    colorScale
+  };
+}
+
+/**
+ * Replace a restored flight's polyline with the colored segments it was saved with
+ * @param {L.Polyline} polyline - The flight's polyline
+ * @param {Array} savedSegments - Segments { color, coordinates } from buildTripGeoJson
+ * @returns {Array} Created segment polylines
+ */
+function drawSavedTrackSegments(polyline, savedSegments) {
+  polyline.remove();
+
+  const trackWidth = getZoomAdaptiveTrackWidth(map.getZoom());
+  return savedSegments.map(segment => L.polyline(segment.coordinates.map(([lon, lat]) => [lat, lon]), {
+    color: segment.color,
+    weight: trackWidth,
+    opacity: TRACK_STYLE.opacity,
+    smoothFactor: TRACK_STYLE.smoothFactor,
+    lineCap: TRACK_STYLE.lineCap,
+    lineJoin: TRACK_STYLE.lineJoin
+  }).addTo(map));
+}
+
+/**
+ * Read and restore a GeoJSON trip file
+ * @param {File} file - The .geojson file
+ * @returns {Promise} Resolves with { flights, airportRecords, colorMode, colorScale }
+ */
+function parseGeoJsonTripFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = function (e) {
+      try {
+        resolve(restoreTripFromGeoJson(JSON.parse(e.target.result)));
+      } catch (error) {
+        console.error(`Error reading trip ${file.name}:`, error);
+        reject(error);
+      }
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Export all loaded flights as a GeoJSON trip
+ */
+function exportTripAsGeoJson() {
+  if (loadedFlights.length === 0) {
+    alert('Load some flights first.');
+    return;
+  }
+
+  const geojson = buildTripGeoJson(loadedFlights);
+  downloadBlob(new Blob([JSON.stringify(geojson)], { type: 'application/geo+json' }), 'trip.geojson');
+  console.log(`Exported ${loadedFlights.length} flights as GeoJSON`);
+}
@@ -0,0 +1,113 @@
+/**
+ * GPX track import (handheld GPS units, phone EFBs)
+ */
+
+/**
+ * Read the text content of a child element from a GPX fragment
+ * @param {string} xml - GPX fragment
+ * @param {string} tag - Element name (without namespace prefix)
+ * @returns {string|null} Trimmed element text or null
+ */
+function getGpxTagText(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Read an attribute value from an element's opening tag
+ * @param {string} tag - Opening tag text
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value or null
+ */
+function getGpxAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse GPX text into log rows using the same column names as G3X logs
+ * (Latitude, Longitude, AltGPS, AltMSL, GndSpd, TRK) so the rest of the app can treat them alike
+ * @param {string} text - GPX file contents
+ * @returns {Object} Object with rows and metadata
+ */
+function parseGpxText(text) {
+  // Prefer recorded track points; fall back to a planned route
+  let pointPattern = /<(?:\w+:)?trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?trkpt>)/g;
+  if (!pointPattern.test(text)) {
+    pointPattern = /<(?:\w+:)?rtept\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?rtept>)/g;
+  }
+  pointPattern.lastIndex = 0;
+
+  const rows = [];
+  let match;
+  while ((match = pointPattern.exec(text)) !== null) {
+    const lat = parseFloat(getGpxAttribute(match[1], 'lat'));
+    const lon = parseFloat(getGpxAttribute(match[1], 'lon'));
+    if (isNaN(lat) || isNaN(lon) || (lat === 0 && lon === 0)) continue;
+
+    const body = match[2] || '';
+    const ele = parseFloat(getGpxTagText(body, 'ele'));
+    const time = Date.parse(getGpxTagText(body, 'time') || '');
+    const speed = parseFloat(getGpxTagText(body, 'speed')); // GPX 1.0 / extensions, m/s
+    const course = parseFloat(getGpxTagText(body, 'course'));
+
+    const row = {
+      Latitude: lat,
+      Longitude: lon,
+      _timestamp: isNaN(time) ? null : time
+    };
+    if (!isNaN(ele)) {
+      row.AltGPS = Math.round(ele * FEET_PER_METER);
+      row.AltMSL = row.AltGPS;
+    }
+    if (!isNaN(speed)) row.GndSpd = speed * KNOTS_PER_MPS;
+    if (!isNaN(course)) row.TRK = course;
+
+    rows.push(row);
+  }
+
+  fillDerivedGpxValues(rows);
+
+  const trackName = getGpxTagText(text.replace(/<(?:\w+:)?trkseg\b[\s\S]*/, ''), 'name');
+  const creator = getGpxAttribute((text.match(/<(?:\w+:)?gpx\b[^>]*>/) || [''])[0], 'creator');
+
+  return {
+    rows,
+    metadata: createBasicMetadata('gpx', {
+      airframeName: trackName,
+      softwareVersion: creator,
+      units: { AltGPS: 'ft msl', AltMSL: 'ft msl', GndSpd: 'kt', TRK: 'deg' }
+    })
+  };
+}
+
+/**
+ * Compute ground speed and track between consecutive points where the GPX file doesn't provide them
+ * @param {Array} rows - Rows from parseGpxText
+ */
+function fillDerivedGpxValues(rows) {
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    // Use the segment ending at this point (or starting at it, for the first point)
+    const a = i > 0 ? rows[i - 1] : row;
+    const b = i > 0 ? row : rows[i + 1];
+    if (!b) continue;
+
+    if (row.GndSpd === undefined && a._timestamp !== null && b._timestamp !== null && b._timestamp > a._timestamp) {
+      const km = getDistance(a.Latitude, a.Longitude, b.Latitude, b.Longitude);
+      const hours = (b._timestamp - a._timestamp) / 3600000;
+      row.GndSpd = (km / KM_PER_NM) / hours;
+    }
+
+    if (row.TRK === undefined && (a.Latitude !== b.Latitude || a.Longitude !== b.Longitude)) {
+      row.TRK = Math.round(getBearing(a.Latitude, a.Longitude, b.Latitude, b.Longitude));
+    }
+  }
+}
+
+registerImportAdapter({
+  id: 'gpx',
+  name: 'GPX track',
+  sniff: (text, filename) => /\.gpx$/i.test(filename) || /<(?:\w+:)?gpx[\s>]/.test(text.slice(0, 2000)),
+  parse: (text) => parseGpxText(text)
+});
@@ -0,0 +1,366 @@
+/**
+ * Import adapters: sniff each uploaded log's format and map its columns onto the
+ * normalized row schema (see NORMALIZED_COLUMNS) used by stop detection and rendering
+ */
+
+// Registered adapters, checked in registration order
+const importAdapters = [];
+
+/**
+ * Register an import adapter
+ * @param {Object} adapter - { id, name, sniff(text, filename) → boolean, parse(text, filename) → { rows, metadata } }
+ */
+function registerImportAdapter(adapter) {
+  importAdapters.push(adapter);
+}
+
+/**
+ * Find the adapter that recognizes a file
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @returns {Object|null} Matching adapter or null
+ */
+function findImportAdapter(text, filename) {
+  for (const adapter of importAdapters) {
+    try {
+      if (adapter.sniff(text, filename)) {
+        return adapter;
+      }
+    } catch (error) {
+      console.warn(`Import adapter ${adapter.id} failed to sniff ${filename}:`, error);
+    }
+  }
+  return null;
+}
+
+/**
+ * Create metadata for formats without a G3X-style preamble
+ * @param {string} format - Adapter id
+ * @param {Object} overrides - Known values (tailNumber, softwareVersion, units, ...)
+ * @returns {Object} Metadata with the same keys parseLogMetadata returns
+ */
+function createBasicMetadata(format, overrides = {}) {
+  return {
+    format,
+    logVersion: null,
+    tailNumber: null,
+    airframeName: null,
+    systemId: null,
+    softwareVersion: null,
+    units: {},
+    isKnownFormat: true,
+    ...overrides
+  };
+}
+
+// ========== GARMIN (G3X / G1000) ==========
+
+/**
+ * Parse the "#airframe_info" preamble line of a G3X log
+ * (e.g. #airframe_info,log_version="1.00",airframe_name="N123AB",...)
+ * @param {string} line - First line of the log file
+ * @returns {Object} Map of preamble keys to values
+ */
+function parseAirframeInfo(line) {
+  const fields = {};
+  if (!line || !line.startsWith('#airframe_info')) {
+    return fields;
+  }
+
+  // Values are either quoted (key="value") or bare (key=VALUE)
+  const pattern = /([A-Za-z_]+)=(?:"([^"]*)"|([^,]*))/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    fields[match[1]] = match[2] !== undefined ? match[2] : match[3].trim();
+  }
+
+  return fields;
+}
+
+/**
+ * Parse the G3X log preamble into structured flight metadata
+ * @param {string} airframeLine - First line (#airframe_info)
+ * @param {string} unitsLine - Second line (units for each column)
+ * @param {string} headerLine - Third line (column names)
+ * @returns {Object} Metadata with tail number, system ID, software version and per-column units
+ */
+function parseLogMetadata(airframeLine, unitsLine, headerLine) {
+  const info = parseAirframeInfo(airframeLine);
+
+  // Pair each column name with the unit in the same position of the units row
+  const headers = headerLine ? Papa.parse(headerLine).data[0] || [] : [];
+  const unitCells = unitsLine ? Papa.parse(unitsLine.replace(/^#/, '')).data[0] || [] : [];
+  const units = {};
+  headers.forEach((header, idx) => {
+    const name = header.trim();
+    const unit = (unitCells[idx] || '').trim();
+    if (name && unit) {
+      units[name] = unit;
+    }
+  });
+
+  const logVersion = info.log_version || null;
+  const isKnownFormat = logVersion !== null && KNOWN_G3X_LOG_VERSIONS.includes(logVersion);
+
+  return {
+    format: 'g3x',
+    logVersion,
+    tailNumber: info.aircraft_ident || info.airframe_name || null,
+    airframeName: info.airframe_name || null,
+    systemId: info.system_id || null,
+    softwareVersion: info.unit_software_version || null,
+    softwarePartNumber: info.unit_software_part_number || null,
+    systemSoftwarePartNumber: info.system_software_part_number || null,
+    mode: info.mode || null,
+    units,
+    isKnownFormat,
+    airframeInfo: info
+  };
+}
+
+/**
+ * Read the (trimmed) column names from the third line of a Garmin log
+ * @param {string} text - File contents
+ * @returns {Array} Column names
+ */
+function getGarminHeaders(text) {
+  const lines = text.split(/\r?\n/, 3);
+  if (lines.length < 3) return [];
+  return (Papa.parse(lines[2]).data[0] || []).map(header => header.trim());
+}
+
+/**
+ * Parse a Garmin CSV log (G3X and G1000 share the same layout: preamble, units row, header row)
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @param {string} format - Adapter id stored in the metadata
+ * @returns {Object} Object with rows and metadata
+ */
+function parseGarminCsv(text, filename, format) {
+  // Split lines and find the correct header row (third line)
+  const lines = text.split(/\r?\n/);
+
+  // Keep the preamble (airframe info and units rows) as flight metadata
+  const metadata = parseLogMetadata(lines[0], lines[1], lines[2]);
+  metadata.format = format;
+  if (!metadata.isKnownFormat) {
+    console.warn(`${filename}: unrecognized Garmin log version ${metadata.logVersion || '(missing)'} ` +
+                 `(software ${metadata.softwareVersion || 'unknown'}) - parsing may be incomplete`);
+  }
+
+  // Remove comment and extra header lines, keeping the header row
+  const results = Papa.parse(lines.slice(2).join("\n"), {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim() // G1000 pads column names with spaces
+  });
+
+  // Build UTC timestamps from Lcl Date / Lcl Time / UTCOfst
+  return { rows: annotateTimestamps(results.data), metadata };
+}
+
+// G1000 logs use the G3X layout; the indicated altitude column (AltInd) tells them apart
+registerImportAdapter({
+  id: 'g1000',
+  name: 'Garmin G1000',
+  sniff: (text) => text.startsWith('#airframe_info') && getGarminHeaders(text).includes('AltInd'),
+  parse: (text, filename) => {
+    const parsed = parseGarminCsv(text, filename, 'g1000');
+    parsed.rows.forEach(row => {
+      if (row.AltB === undefined && row.AltInd !== undefined) row.AltB = row.AltInd;
+    });
+    return parsed;
+  }
+});
+
+registerImportAdapter({
+  id: 'g3x',
+  name: 'Garmin G3X',
+  sniff: (text) => {
+    const headers = getGarminHeaders(text);
+    return (text.startsWith('#airframe_info') || headers.includes('Lcl Date')) &&
+      (headers.includes('Latitude') || headers.includes('latitude'));
+  },
+  parse: (text, filename) => parseGarminCsv(text, filename, 'g3x')
+});
+
+// ========== COLUMN-MAPPED CSV FORMATS ==========
+
+/**
+ * Find the first line (within the first few) that looks like a header row
+ * @param {Array} lines - File lines
+ * @param {Array} requiredPatterns - Regexes that must each match one column name
+ * @returns {number} Line index or -1
+ */
+function findHeaderLineIndex(lines, requiredPatterns) {
+  const limit = Math.min(lines.length, 10);
+  for (let i = 0; i < limit; i++) {
+    const headers = (Papa.parse(lines[i]).data[0] || []).map(header => String(header).trim());
+    if (requiredPatterns.every(pattern => headers.some(header => pattern.test(header)))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Resolve column name patterns against a header row
+ * @param {Array} headers - Column names
+ * @param {Object} patterns - Normalized column → array of regexes
+ * @returns {Object} Normalized column → actual column name (only the ones found)
+ */
+function resolveColumnMapping(headers, patterns) {
+  const mapping = {};
+  Object.entries(patterns).forEach(([target, candidates]) => {
+    for (const candidate of candidates) {
+      const header = headers.find(h => candidate.test(h));
+      if (header !== undefined) {
+        mapping[target] = header;
+        break;
+      }
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Build a UTC timestamp from date/time column values of a non-Garmin log
+ * Accepts "YYYY-MM-DD hh:mm:ss[.s][Z|±hh:mm]" (date and time in one or two columns),
+ * US "MM/DD/YYYY" dates and anything Date.parse understands; times without a zone are UTC
+ * @param {*} dateValue - Date column value (may be undefined)
+ * @param {*} timeValue - Time (or combined date/time) column value
+ * @returns {number|null} Milliseconds since epoch or null
+ */
+function parseMappedTimestamp(dateValue, timeValue) {
+  if (timeValue === undefined || timeValue === null || timeValue === '') return null;
+
+  let text = String(timeValue).trim();
+  if (dateValue !== undefined && dateValue !== null && dateValue !== '') {
+    text = `${String(dateValue).trim()} ${text}`;
+  }
+
+  // Reorder US dates to ISO order
+  text = text.replace(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/, '$3-$1-$2');
+
+  const match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[ T]+(\d{1,2}):(\d{2}):(\d{2})(\.\d+)?\s*(Z|[+-]\d{1,2}:?\d{2})?$/i);
+  if (match) {
+    const utcMs = Date.UTC(
+      parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+      parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6], 10),
+      match[7] ? Math.round(parseFloat(match[7]) * 1000) : 0
+    );
+    const zone = match[8] && match[8].toUpperCase() !== 'Z'
+      ? parseUtcOffsetMinutes(match[8].replace(/^([+-]\d{1,2})(\d{2})$/, '$1:$2'))
+      : 0;
+    return utcMs - zone * 60000;
+  }
+
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parse a CSV log whose columns are described by a mapping onto the normalized schema
+ * @param {string} text - File contents
+ * @param {number} headerLineIdx - Index of the header row
+ * @param {Object} mapping - Normalized column (or Date/Time) → actual column name
+ * @returns {Array} Normalized rows
+ */
+function parseMappedCsv(text, headerLineIdx, mapping) {
+  const lines = text.split(/\r?\n/);
+  const results = Papa.parse(lines.slice(headerLineIdx).join("\n"), {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim()
+  });
+
+  return results.data.map(raw => {
+    const row = {};
+    Object.entries(mapping).forEach(([target, column]) => {
+      if (target !== 'Date' && target !== 'Time' && raw[column] !== undefined && raw[column] !== null && raw[column] !== '') {
+        row[target] = typeof raw[column] === 'number' ? raw[column] : parseFloat(raw[column]);
+      }
+    });
+    row._timestamp = mapping.Time ? parseMappedTimestamp(raw[mapping.Date], raw[mapping.Time]) : null;
+    return row;
+  });
+}
+
+/**
+ * Create an adapter for a CSV format that is recognized by its column names
+ * @param {Object} config - { id, name, sniff(text, filename), columns: normalized column → regexes }
+ * @returns {Object} Import adapter
+ */
+function createColumnMappedAdapter(config) {
+  const required = [config.columns.Latitude[0], config.columns.Longitude[0]];
+
+  return {
+    id: config.id,
+    name: config.name,
+    sniff: (text, filename) => config.sniff(text, filename) &&
+      findHeaderLineIndex(text.split(/\r?\n/, 10), required) >= 0,
+    parse: (text) => {
+      const lines = text.split(/\r?\n/);
+      const headerLineIdx = findHeaderLineIndex(lines, required);
+      const headers = (Papa.parse(lines[headerLineIdx]).data[0] || []).map(header => String(header).trim());
+      const mapping = resolveColumnMapping(headers, config.columns);
+
+      return {
+        rows: parseMappedCsv(text, headerLineIdx, mapping),
+        metadata: createBasicMetadata(config.id)
+      };
+    }
+  };
+}
+
+// Dynon SkyView user data log (CSV export)
+registerImportAdapter(createColumnMappedAdapter({
+  id: 'dynon-skyview',
+  name: 'Dynon SkyView',
+  sniff: (text) => /Session Time|GPS Date & Time/i.test(text.slice(0, 2000)),
+  columns: {
+    Latitude: [/^GPS Lat(itude)?\b/i],
+    Longitude: [/^GPS Lon(gitude)?\b/i],
+    AltGPS: [/^GPS Alt(itude)?\b/i],
+    AltB: [/^Pressure Alt(itude)?\b/i],
+    AltMSL: [/^GPS Alt(itude)?\b/i],
+    AGL: [/\bAGL\b/i],
+    GndSpd: [/^Ground Speed\b/i],
+    IAS: [/^Indicated Airspeed\b/i],
+    TAS: [/^True Airspeed\b/i],
+    VSpd: [/^Vertical Speed\b/i],
+    TRK: [/^Ground Track\b/i],
+    HDG: [/^Magnetic Heading\b/i],
+    OAT: [/^OAT\b/i],
+    'E1 RPM': [/^RPM\b/i, /\bRPM\b/i],
+    'E1 FFlow': [/^Fuel Flow\b/i],
+    Time: [/^GPS Date & Time\b/i]
+  }
+}));
+
+// MGL Avionics (Odyssey/iEFIS) flight log exported to CSV; the export names the unit in
+// its title row (or the file is named after it), with the column header row right after
+registerImportAdapter(createColumnMappedAdapter({
+  id: 'mgl',
+  name: 'MGL Avionics',
+  sniff: (text, filename) => /\bMGL\b/i.test(text.split(/\r?\n/, 1)[0]) || /^mgl/i.test(filename),
+  columns: {
+    Latitude: [/^Lat(itude)?\b/i],
+    Longitude: [/^Lon(g|gitude)?\b/i],
+    AltGPS: [/^GPS ?Alt(itude)?\b/i],
+    AltB: [/^(Baro ?|Pressure ?)Alt(itude)?\b/i, /^Alt(itude)?\b/i],
+    AltMSL: [/^GPS ?Alt(itude)?\b/i, /^Alt(itude)?\b/i],
+    AGL: [/\bAGL\b/i],
+    GndSpd: [/^(GPS ?)?Ground ?Speed\b/i, /^GS\b/i],
+    IAS: [/^(IAS|Indicated Airspeed)\b/i],
+    VSpd: [/^(VSI|Vertical Speed)\b/i],
+    TRK: [/^(GPS ?)?(Track|Course)\b/i],
+    HDG: [/^Heading\b/i],
+    'E1 RPM': [/^RPM\b/i],
+    'E1 FFlow': [/^Fuel ?Flow\b/i],
+    Date: [/^Date\b/i],
+    Time: [/^Time\b/i]
+  }
+}));
@@ -2,121 +2,335 @@
  * Intermediate stop detection algorithm
  */
 
+/**
+ * Check whether a row's AGL reading can be compared with its altitude
+ * @param {Object} row - Flight data row
+ * @param {number|null} groundLevel - Ground elevation (ft MSL) from earlier AGL readings
+ * @returns {boolean} True if both a ground level and an altitude are known
+ */
+function canCheckAgl(row, groundLevel) {
+  return groundLevel !== null && getRowAltitude(row) !== null;
+}
+
+/**
+ * Check whether a row's AGL reading agrees with its altitude above the ground level
+ * @param {Object} row - Flight data row (see canCheckAgl)
+ * @param {number} groundLevel - Ground elevation (ft MSL)
+ * @returns {boolean} True if the reading is plausible
+ */
+function isAglConsistent(row, groundLevel) {
+  return Math.abs(getRowAltitude(row) - groundLevel - row.AGL) <= LANDING_GROUND_LEVEL_TOLERANCE_FT;
+}
+
+/**
+ * Check whether a row looks like the aircraft is on the ground
+ * Enter thresholds apply while airborne, the higher exit thresholds once on the ground (hysteresis)
+ *
+ * A low AGL reading alone isn't trusted - radar altimeters drop to 0 in cruise. It only counts when the
+ * altitude is close to the ground level seen before it, or (without a ground level) below a touchdown speed.
+ * @param {Object} row - Flight data row
+ * @param {Object} thresholds - { aglThreshold, speedThreshold, mode }
+ * @param {boolean} onGround - Whether the aircraft is already considered on the ground
+ * @param {number|null} groundLevel - Ground elevation (ft MSL) from earlier trustworthy AGL readings
+ * @returns {boolean} True if the row counts as on the ground
+ */
+function isGroundContactRow(row, thresholds, onGround, groundLevel = null) {
+  const { aglThreshold, speedThreshold, mode } = thresholds;
+  const aglLimit = onGround ? aglThreshold + LANDING_AGL_HYSTERESIS_FT : aglThreshold;
+  const speedLimit = onGround ? speedThreshold + LANDING_SPEED_HYSTERESIS_KT : speedThreshold;
+
+  const groundSpeed = typeof row.GndSpd === 'number' ? row.GndSpd : Infinity;
+  const slow = groundSpeed <= speedLimit;
+
+  // Without an AGL column only ground speed can tell
+  if (typeof row.AGL !== 'number') {
+    return slow;
+  }
+  const corroborated = canCheckAgl(row, groundLevel)
+    ? isAglConsistent(row, groundLevel)
+    : groundSpeed <= LANDING_TOUCHDOWN_MAX_SPEED_KT;
+  const low = row.AGL <= aglLimit && corroborated;
+
+  // Weight-on-wheels heuristic: on the runway the vertical speed settles near zero
+  const weightOnWheels = typeof row.VSpd === 'number'
+    ? Math.abs(row.VSpd) <= WOW_MAX_VERTICAL_SPEED_FPM
+    : true;
+
+  if (mode === STOP_DETECTION_MODES.AND) {
+    return low && (slow || weightOnWheels);
+  }
+  return (low && weightOnWheels) || slow;
+}
+
+/**
+ * Find landings, touch-and-goes and low approaches with a small state machine
+ * (airborne → approach → ground contact → approach → airborne)
+ *
+ * Ground contacts shorter than LANDING_MIN_DWELL_SEC are ignored. Contacts that slow to the speed
+ * threshold are full stops, the rest touch-and-goes. An approach below LOW_APPROACH_MAX_AGL_FT that
+ * climbs away without a contact is a low approach. Contacts still in progress when the log ends
+ * (the arrival) are not reported.
+ * @param {Array} data - Flight data rows
+ * @param {Object} thresholds - { aglThreshold, speedThreshold, mode }
+ * @returns {Array} Events ({ kind, startIndex, endIndex, pointIndex }) in log order
+ */
+function findLandingEvents(data, thresholds) {
+  const events = [];
+
+  let inApproach = false;
+  let approachHadContact = false;
+  let lowestIdx = -1;
+
+  let onGround = false;
+  let groundStartIdx = -1;
+  let minGroundSpeed = Infinity;
+
+  // Ground elevation under the aircraft, from the last AGL reading clearly above the ground
+  let groundLevel = null;
+
+  const endGroundContact = (endIdx) => {
+    onGround = false;
+    if (getRowSpanSeconds(data, groundStartIdx, endIdx) < LANDING_MIN_DWELL_SEC) return;
+
+    approachHadContact = true;
+    events.push({
+      kind: minGroundSpeed <= thresholds.speedThreshold ? STOP_KINDS.FULL_STOP : STOP_KINDS.TOUCH_AND_GO,
+      startIndex: groundStartIdx,
+      endIndex: endIdx + 1,
+      pointIndex: Math.floor((groundStartIdx + endIdx + 1) / 2)
+    });
+  };
+
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    const hasAgl = typeof row.AGL === 'number';
+    const trustedAgl = hasAgl && (!canCheckAgl(row, groundLevel) || isAglConsistent(row, groundLevel));
+
+    // Approach tracking (needs AGL that agrees with the altitude)
+    if (trustedAgl && !inApproach && row.AGL <= LOW_APPROACH_MAX_AGL_FT) {
+      inApproach = true;
+      approachHadContact = false;
+      lowestIdx = i;
+    } else if (inApproach && trustedAgl) {
+      if (row.AGL < data[lowestIdx].AGL) lowestIdx = i;
+    }
+
+    // Ground contact tracking
+    const contact = isGroundContactRow(row, thresholds, onGround, groundLevel);
+    if (contact && !onGround) {
+      onGround = true;
+      groundStartIdx = i;
+      minGroundSpeed = Infinity;
+    } else if (!contact && onGround) {
+      endGroundContact(i - 1);
+    }
+    if (onGround && typeof row.GndSpd === 'number') {
+      minGroundSpeed = Math.min(minGroundSpeed, row.GndSpd);
+    }
+
+    // Plausible readings above the threshold give the ground level for the next rows
+    // (dropouts read low, so a reading well above the approach height is trusted as is)
+    const clearlyHigh = hasAgl && row.AGL > LOW_APPROACH_MAX_AGL_FT + LOW_APPROACH_HYSTERESIS_FT;
+    if (hasAgl && getRowAltitude(row) !== null && !onGround && row.AGL > thresholds.aglThreshold &&
+      (trustedAgl || clearlyHigh)) {
+      groundLevel = getRowAltitude(row) - row.AGL;
+    }
+
+    // Climbing out of the approach ends it
+    if (inApproach && !onGround && trustedAgl && row.AGL > LOW_APPROACH_MAX_AGL_FT + LOW_APPROACH_HYSTERESIS_FT) {
+      inApproach = false;
+      if (!approachHadContact) {
+        events.push({ kind: STOP_KINDS.LOW_APPROACH, startIndex: lowestIdx, endIndex: i, pointIndex: lowestIdx });
+      }
+    }
+  }
+
+  return events;
+}
+
 /**
  * Detect intermediate stops in flight data
  * @param {Array} data - Flight data array
  * @param {number} aglThreshold - AGL threshold in feet
  * @param {number} speedThreshold - Ground speed threshold in knots
+ * @param {string} mode - How AGL and speed combine (STOP_DETECTION_MODES)
  * @returns {Array} Array of intermediate stop objects
  */
-function detectIntermediateStops(data, aglThreshold, speedThreshold) {
+function detectIntermediateStops(data, aglThreshold, speedThreshold, mode = STOP_DETECTION_MODES.OR) {
   const intermediateStops = [];
   const visitedAirports = new Set();
 
-  let inLowSlowZone = false;
-  let lowSlowStartIdx = -1;
+  const events = findLandingEvents(data, { aglThreshold, speedThreshold, mode });
 
-  for (let i = 0; i < data.length; i++) {
-    const row = data[i];
-    const agl = row.AGL !== undefined ? row.AGL : Infinity;
-    const groundSpeed = row.GndSpd !== undefined ? row.GndSpd : Infinity;
-    const lat = row.Latitude || row.latitude;
-    const lon = row.Longitude || row.longitude;
-
-    // Check if aircraft meets criteria (low AND/OR slow)
-    const isLowAndSlow = (agl <= aglThreshold) || (groundSpeed <= speedThreshold);
-
-    if (isLowAndSlow && !inLowSlowZone) {
-      // Entering low/slow zone
-      inLowSlowZone = true;
-      lowSlowStartIdx = i;
-    } else if (!isLowAndSlow && inLowSlowZone) {
-      // Exiting low/slow zone - this was a potential landing
-      inLowSlowZone = false;
-
-      // Find midpoint of the low/slow zone
-      const midIdx = Math.floor((lowSlowStartIdx + i) / 2);
-      const midRow = data[midIdx];
-      const midLat = midRow.Latitude || midRow.latitude;
-      const midLon = midRow.Longitude || midRow.longitude;
-
-      // Find nearest airport
-      const nearest = findNearestAirport(midLat, midLon);
-
-      if (nearest && !visitedAirports.has(nearest.code)) {
-        // Check if this airport is too close to an already-detected stop
-        // If so, keep only the higher priority one
-        let shouldAdd = true;
-        let replaceIdx = -1;
-
-        for (let j = 0; j < intermediateStops.length; j++) {
-          const existingStop = intermediateStops[j];
-          const distanceBetweenAirports = getDistance(
-            nearest.lat, nearest.lon,
-            existingStop.airportLat, existingStop.airportLon
-          );
-
-          // If airports are within PROXIMITY_THRESHOLD_KM of each other, consider them the same landing
-          if (distanceBetweenAirports < PROXIMITY_THRESHOLD_KM) {
-            const existingAirportData = airports[existingStop.airport];
-            const existingPriority = AIRPORT_TYPE_PRIORITY[existingAirportData?.type] || 0;
-            const newPriority = AIRPORT_TYPE_PRIORITY[nearest.type] || 0;
-
-            console.log(`Found nearby airports: ${existingStop.airport} and ${nearest.code} (${distanceBetweenAirports.toFixed(2)}km apart)`);
-
-            // Keep the one with higher priority, or if same priority, keep the closer one to midpoint
-            if (newPriority > existingPriority) {
-              console.log(`Replacing ${existingStop.airport} with ${nearest.code} (higher priority: ${newPriority} > ${existingPriority})`);
-              replaceIdx = j;
-              shouldAdd = false;
-              break;
-            } else if (newPriority === existingPriority) {
-              const existingDistance = getDistance(midLat, midLon, existingStop.airportLat, existingStop.airportLon);
-              const newDistance = getDistance(midLat, midLon, nearest.lat, nearest.lon);
-
-              if (newDistance < existingDistance) {
-                console.log(`Replacing ${existingStop.airport} with ${nearest.code} (closer to landing point: ${newDistance.toFixed(2)}km < ${existingDistance.toFixed(2)}km)`);
-                replaceIdx = j;
-                shouldAdd = false;
-                break;
-              } else {
-                console.log(`Keeping ${existingStop.airport} over ${nearest.code} (already have closer airport)`);
-                shouldAdd = false;
-                break;
-              }
-            } else {
-              console.log(`Keeping ${existingStop.airport} over ${nearest.code} (higher priority: ${existingPriority} > ${newPriority})`);
-              shouldAdd = false;
-              break;
-            }
-          }
+  events.forEach(event => {
+    const pointRow = data[event.pointIndex];
+    const midLat = pointRow.Latitude || pointRow.latitude;
+    const midLon = pointRow.Longitude || pointRow.longitude;
+
+    // Find the airport this happened at
+    const nearest = findLandingAirport(midLat, midLon);
+
+    // A low approach only means something at an airport
+    if (event.kind === STOP_KINDS.LOW_APPROACH && (!nearest || nearest.distance > LOW_APPROACH_MAX_AIRPORT_DISTANCE_KM)) {
+      return;
+    }
+
+    // Nothing close enough - an off-airport landing (outlanding, field or strip not in the database)
+    if (!nearest) {
+      addOffAirportStop(intermediateStops, event, midLat, midLon);
+      return;
+    }
+
+    const stop = {
+      airport: nearest.code,
+      lat: midLat,
+      lon: midLon,
+      airportLat: nearest.lat,
+      airportLon: nearest.lon,
+      startIndex: event.startIndex,
+      endIndex: event.endIndex,
+      kind: event.kind,
+      count: 1
+    };
+
+    // Several events at one airport (e.g. pattern work) become one stop of the strongest kind
+    if (visitedAirports.has(nearest.code)) {
+      const existingStop = intermediateStops.find(existing => existing.airport === nearest.code);
+      if (existingStop) {
+        existingStop.count++;
+        if (getStopKindRank(event.kind) > getStopKindRank(existingStop.kind)) {
+          Object.assign(existingStop, { ...stop, count: existingStop.count });
         }
+      }
+      return;
+    }
+
+    // Check if this airport is too close to an already-detected stop
+    // If so, keep only the higher priority one
+    let shouldAdd = true;
+    let replaceIdx = -1;
+
+    for (let j = 0; j < intermediateStops.length; j++) {
+      const existingStop = intermediateStops[j];
+      if (existingStop.offAirport) continue;
+
+      const distanceBetweenAirports = getDistance(
+        nearest.lat, nearest.lon,
+        existingStop.airportLat, existingStop.airportLon
+      );
+
+      // If airports are within PROXIMITY_THRESHOLD_KM of each other, consider them the same landing
+      if (distanceBetweenAirports < PROXIMITY_THRESHOLD_KM) {
+        const existingAirportData = airports[existingStop.airport];
+        const existingPriority = AIRPORT_TYPE_PRIORITY[existingAirportData?.type] || 0;
+        const newPriority = AIRPORT_TYPE_PRIORITY[nearest.type] || 0;
 
-        if (replaceIdx >= 0) {
-          // Replace the existing stop with the new one
-          const oldCode = intermediateStops[replaceIdx].airport;
-          visitedAirports.delete(oldCode);
-          intermediateStops[replaceIdx] = {
-            airport: nearest.code,
-            lat: midLat,
-            lon: midLon,
-            airportLat: nearest.lat,
-            airportLon: nearest.lon
-          };
-          visitedAirports.add(nearest.code);
-        } else if (shouldAdd) {
-          intermediateStops.push({
-            airport: nearest.code,
-            lat: midLat,
-            lon: midLon,
-            airportLat: nearest.lat,
-            airportLon: nearest.lon
-          });
-          visitedAirports.add(nearest.code);
+        console.log(`Found nearby airports: ${existingStop.airport} and ${nearest.code} (${distanceBetweenAirports.toFixed(2)}km apart)`);
+
+        // Keep the one with higher priority, or if same priority, keep the closer one to midpoint
+        if (newPriority > existingPriority) {
+          console.log(`Replacing ${existingStop.airport} with ${nearest.code} (higher priority: ${newPriority} > ${existingPriority})`);
+          replaceIdx = j;
+          shouldAdd = false;
+          break;
+        } else if (newPriority === existingPriority) {
+          const existingDistance = getDistance(midLat, midLon, existingStop.airportLat, existingStop.airportLon);
+          const newDistance = getDistance(midLat, midLon, nearest.lat, nearest.lon);
+
+          if (newDistance < existingDistance) {
+            console.log(`Replacing ${existingStop.airport} with ${nearest.code} (closer to landing point: ${newDistance.toFixed(2)}km < ${existingDistance.toFixed(2)}km)`);
+            replaceIdx = j;
+            shouldAdd = false;
+            break;
+          } else {
+            console.log(`Keeping ${existingStop.airport} over ${nearest.code} (already have closer airport)`);
+            shouldAdd = false;
+            break;
+          }
+        } else {
+          console.log(`Keeping ${existingStop.airport} over ${nearest.code} (higher priority: ${existingPriority} > ${newPriority})`);
+          shouldAdd = false;
+          break;
         }
       }
     }
-  }
+
+    if (replaceIdx >= 0) {
+      // Replace the existing stop with the new one
+      const oldStop = intermediateStops[replaceIdx];
+      visitedAirports.delete(oldStop.airport);
+      intermediateStops[replaceIdx] = getStopKindRank(oldStop.kind) > getStopKindRank(stop.kind)
+        ? { ...stop, kind: oldStop.kind }
+        : stop;
+      visitedAirports.add(nearest.code);
+    } else if (shouldAdd) {
+      intermediateStops.push(stop);
+      visitedAirports.add(nearest.code);
+    }
+  });
 
   return intermediateStops;
 }
+
+/**
+ * Add an off-airport landing, merging it with an earlier one at the same spot
+ * @param {Array} intermediateStops - Stops found so far
+ * @param {Object} event - Landing event from findLandingEvents
+ * @param {number} lat - Latitude of the landing
+ * @param {number} lon - Longitude of the landing
+ */
+function addOffAirportStop(intermediateStops, event, lat, lon) {
+  const existingStop = intermediateStops.find(existing =>
+    existing.offAirport && getDistance(lat, lon, existing.lat, existing.lon) < PROXIMITY_THRESHOLD_KM
+  );
+  if (existingStop) {
+    existingStop.count++;
+    if (getStopKindRank(event.kind) > getStopKindRank(existingStop.kind)) {
+      existingStop.kind = event.kind;
+    }
+    return;
+  }
+
+  console.log(`Off-airport landing at ${formatLatLon(lat, lon)}`);
+  intermediateStops.push({
+    airport: null,
+    offAirport: true,
+    lat,
+    lon,
+    airportLat: lat,
+    airportLon: lon,
+    startIndex: event.startIndex,
+    endIndex: event.endIndex,
+    kind: event.kind,
+    count: 1
+  });
+}
+
+/**
+ * Rank stop kinds so the strongest evidence of a landing wins when events are merged
+ * @param {string} kind - Stop kind (STOP_KINDS)
+ * @returns {number} Higher for stronger evidence
+ */
+function getStopKindRank(kind) {
+  return [STOP_KINDS.LOW_APPROACH, STOP_KINDS.TOUCH_AND_GO, STOP_KINDS.FULL_STOP].indexOf(kind);
+}
+
+/**
+ * Describe an intermediate stop for popups, e.g. "Touch-and-go ×3"
+ * @param {Object} stop - Intermediate stop
+ * @returns {string} Stop description
+ */
+function formatStopRole(stop) {
+  const kindLabel = STOP_KIND_LABELS[stop.kind] || 'Intermediate stop';
+  const label = stop.offAirport ? `Off-airport ${kindLabel.toLowerCase()}` : kindLabel;
+  return stop.count > 1 ? `${label} ×${stop.count}` : label;
+}
+
+/**
+ * Label for a stop: its airport code, or its coordinates when off-airport
+ * @param {Object} stop - Intermediate stop
+ * @returns {string} Label text
+ */
+function getStopLabelCode(stop) {
+  return stop.airport || formatLatLon(stop.lat, stop.lon);
+}
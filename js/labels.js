@@ -141,6 +141,9 @@ function createAirportLabel(airport, position, color, existingLabels = null, add
     })
   });
 
+  // Clicking a label corrects every detection matched to this airport
+  label.on('click', () => showAirportCorrectionDialog(airport, getAirportDetections(airport)));
+
   if (addToMap) {
     label.addTo(map);
   }
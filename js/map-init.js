@@ -17,6 +17,9 @@ const lowZoomMarkersGroup = L.layerGroup().addTo(map);
 const intermediateStopsCircleMarkersGroup = L.layerGroup();
 const intermediateStopsLowZoomMarkersGroup = L.layerGroup().addTo(map);
 
+// Markers where logs split by a power cycle were stitched together
+const stitchMarkersGroup = L.layerGroup().addTo(map);
+
 // Keep track of labeled airports and markers
 const labeledAirports = new Map();
 const intermediateStopLabels = new Map();
@@ -33,7 +36,14 @@ let allFlightBounds = [];
 let filesProcessed = 0;
 let totalFilesToProcess = 0;
 
+// Flight data built from each uploaded log (one entry per file)
+let loadedLogs = [];
+
+// Flights restored from a saved GeoJSON trip (already stitched/split, no log rows)
+let restoredFlights = [];
+
 // Store loaded flight data for re-rendering with different colors
+// (one entry per log, or per leg when leg splitting is enabled)
 let loadedFlights = [];
 
 // Store all polylines and decorators for removal during re-render
@@ -41,6 +51,9 @@ let flightPolylines = [];
 let flightDecorators = [];
 let gradientSegments = []; // Store gradient polyline segments separately
 
+// Visible track layers (the polyline, or its gradient segments) of each rendered flight
+const flightTrackLayers = new Map();
+
 /**
  * Initialize the map with base tiles and layer control
  */
@@ -272,8 +285,12 @@ function initializeMap() {
       });
     }
 
+    // Update direction arrows
+    const arrowPatterns = getTrackArrowPatterns(getZoomAdaptiveArrowConfig(zoom));
+    flightDecorators.forEach(decorator => decorator.setPatterns(arrowPatterns));
+
     // Update gradient segments
-    if (colorMode === COLOR_MODES.GRADIENT || colorMode === COLOR_MODES.GRADIENT_GLOBAL) {
+    if (colorMode === COLOR_MODES.GRADIENT || colorMode === COLOR_MODES.GRADIENT_GLOBAL || isDataColorMode(colorMode)) {
       gradientSegments.forEach(segment => {
         if (segment && segment.setStyle) {
           segment.setStyle({ weight: newTrackWidth });
@@ -287,9 +304,11 @@ function initializeMap() {
  * Reset all map layers and clear state
  */
 function resetMap() {
-  // Remove all layers except base tiles
+  // Remove all layers except base tiles (and combined basemaps like "Gray + Labels")
   map.eachLayer((layer) => {
-    if (!(layer instanceof L.TileLayer)) {
+    const isBasemapGroup = layer instanceof L.LayerGroup &&
+      layer.getLayers().some(child => child instanceof L.TileLayer);
+    if (!(layer instanceof L.TileLayer) && !isBasemapGroup) {
       map.removeLayer(layer);
     }
   });
@@ -299,12 +318,19 @@ function resetMap() {
   lowZoomMarkersGroup.clearLayers();
   intermediateStopsCircleMarkersGroup.clearLayers();
   intermediateStopsLowZoomMarkersGroup.clearLayers();
+  stitchMarkersGroup.clearLayers();
 
   // Clear tracking maps
   labeledAirports.clear();
   intermediateStopLabels.clear();
   airportMarkers.clear();
 
+  // Forget rendered tracks (their layers were removed above)
+  flightPolylines = [];
+  flightDecorators = [];
+  gradientSegments = [];
+  flightTrackLayers.clear();
+
   // Reset state
   colorIndex = 0;
   lastFlight = null;
@@ -315,6 +341,7 @@ function resetMap() {
   // Re-add groups based on checkbox state
   circleMarkersGroup.addTo(map);
   lowZoomMarkersGroup.addTo(map);
+  stitchMarkersGroup.addTo(map);
 
   const showIntermediateStops = document.getElementById('show-intermediate-stops').checked;
   if (showIntermediateStops) {
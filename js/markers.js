@@ -20,8 +20,6 @@ function createLowZoomMarker(airport, position, color, label = null) {
     return airportMarkers.get(markerKey);
   }
 
-  const popupText = label ? `<b>${airport}</b><br>${label}` : `<b>${airport}</b>`;
-
   const marker = L.marker(position, {
     icon: L.divIcon({
       className: 'airport-marker',
@@ -29,12 +27,57 @@ function createLowZoomMarker(airport, position, color, label = null) {
       iconSize: [14, 14],
       iconAnchor: [7, 7]
     })
-  }).bindPopup(popupText);
+  }).bindPopup(airportPopupContent(airport, label, () => getAirportDetections(airport)));
 
   airportMarkers.set(markerKey, marker);
   return marker;
 }
 
+/**
+ * Update marker visibility based on zoom - uses opacity for instant hide/show
+ */
+function updateMarkerVisibility() {
+  const zoom = map.getZoom();
+  const showHighZoom = zoom >= CIRCLE_MARKER_MIN_ZOOM;
+
+  // Update circle markers visibility using opacity (instant, no transition)
+  circleMarkersGroup.eachLayer(layer => {
+    const element = layer.getElement ? layer.getElement() : null;
+    if (element) {
+      element.style.opacity = showHighZoom ? '1' : '0';
+      element.style.pointerEvents = showHighZoom ? 'auto' : 'none';
+    }
+  });
+
+  // Update low-zoom markers visibility
+  lowZoomMarkersGroup.eachLayer(layer => {
+    const element = layer.getElement ? layer.getElement() : null;
+    if (element) {
+      element.style.opacity = showHighZoom ? '0' : '1';
+      element.style.pointerEvents = showHighZoom ? 'none' : 'auto';
+    }
+  });
+
+  // Update intermediate stop markers
+  const showIntermediateStops = document.getElementById('show-intermediate-stops').checked;
+
+  intermediateStopsCircleMarkersGroup.eachLayer(layer => {
+    const element = layer.getElement ? layer.getElement() : null;
+    if (element) {
+      element.style.opacity = (showHighZoom && showIntermediateStops) ? '1' : '0';
+      element.style.pointerEvents = (showHighZoom && showIntermediateStops) ? 'auto' : 'none';
+    }
+  });
+
+  intermediateStopsLowZoomMarkersGroup.eachLayer(layer => {
+    const element = layer.getElement ? layer.getElement() : null;
+    if (element) {
+      element.style.opacity = (!showHighZoom && showIntermediateStops) ? '1' : '0';
+      element.style.pointerEvents = (!showHighZoom && showIntermediateStops) ? 'auto' : 'none';
+    }
+  });
+}
+
 /**
  * Setup zoom-based marker visibility handler
  */
@@ -50,49 +93,6 @@ function setupMarkerVisibilityHandler() {
   intermediateStopsCircleMarkersGroup.addTo(map);
   intermediateStopsLowZoomMarkersGroup.addTo(map);
 
-  // Function to update visibility based on zoom - use opacity for instant hide/show
-  const updateMarkerVisibility = () => {
-    const zoom = map.getZoom();
-    const showHighZoom = zoom >= CIRCLE_MARKER_MIN_ZOOM;
-
-    // Update circle markers visibility using opacity (instant, no transition)
-    circleMarkersGroup.eachLayer(layer => {
-      const element = layer.getElement ? layer.getElement() : null;
-      if (element) {
-        element.style.opacity = showHighZoom ? '1' : '0';
-        element.style.pointerEvents = showHighZoom ? 'auto' : 'none';
-      }
-    });
-
-    // Update low-zoom markers visibility
-    lowZoomMarkersGroup.eachLayer(layer => {
-      const element = layer.getElement ? layer.getElement() : null;
-      if (element) {
-        element.style.opacity = showHighZoom ? '0' : '1';
-        element.style.pointerEvents = showHighZoom ? 'none' : 'auto';
-      }
-    });
-
-    // Update intermediate stop markers
-    const showIntermediateStops = document.getElementById('show-intermediate-stops').checked;
-
-    intermediateStopsCircleMarkersGroup.eachLayer(layer => {
-      const element = layer.getElement ? layer.getElement() : null;
-      if (element) {
-        element.style.opacity = (showHighZoom && showIntermediateStops) ? '1' : '0';
-        element.style.pointerEvents = (showHighZoom && showIntermediateStops) ? 'auto' : 'none';
-      }
-    });
-
-    intermediateStopsLowZoomMarkersGroup.eachLayer(layer => {
-      const element = layer.getElement ? layer.getElement() : null;
-      if (element) {
-        element.style.opacity = (!showHighZoom && showIntermediateStops) ? '1' : '0';
-        element.style.pointerEvents = (!showHighZoom && showIntermediateStops) ? 'auto' : 'none';
-      }
-    });
-  };
-
   // Disable transitions during zoom to prevent visual artifacts
   const disableTransitions = () => {
     circleMarkersGroup.eachLayer(layer => {
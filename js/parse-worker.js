@@ -0,0 +1,57 @@
+/**
+ * Web Worker that parses flight logs off the main thread
+ * (CSV/GPX parsing, polyline simplification, airport matching and stop detection)
+ *
+ * Messages in:  { type: 'init', airports } then { type: 'parse', id, file, thresholds }
+ * Messages out: { type: 'ready' } after init, then
+ *               { type: 'result', id, flight } | { type: 'unrecognized', id } | { type: 'error', id, message }
+ */
+
+importScripts(
+  'https://unpkg.com/papaparse@5.4.1/papaparse.min.js',
+  '../airports.js',
+  'constants.js',
+  'utils.js',
+  'flight-timing.js',
+  'airport-index.js',
+  'airport-finder.js',
+  'intermediate-stops.js',
+  'import-adapters.js',
+  'gpx-parser.js',
+  'file-processor.js'
+);
+
+// Airport lookups log every candidate - far too chatty for bulk parsing in the background
+console.log = () => {};
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'init') {
+    airports = message.airports;
+    buildAirportIndex();
+    airportsLoaded = true;
+    // Lets the pool tell a working worker from one whose scripts failed to load
+    self.postMessage({ type: 'ready' });
+    return;
+  }
+
+  if (message.type !== 'parse') return;
+
+  const { id, file, thresholds } = message;
+  try {
+    const text = new FileReaderSync().readAsText(file);
+
+    // Saved column mappings and the mapping dialog live on the main thread
+    const adapter = findImportAdapter(text, file.name);
+    if (!adapter) {
+      self.postMessage({ type: 'unrecognized', id });
+      return;
+    }
+
+    const flight = parseLogText(text, file.name, adapter, { thresholds });
+    self.postMessage({ type: 'result', id, flight });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
@@ -0,0 +1,429 @@
+/**
+ * Timeline playback: aircraft markers move along one or more flights on a shared clock,
+ * drawing the flown part of each track as they go
+ */
+
+// Replay in progress: the flights being replayed and the playback clock
+// (ms since epoch, or ms since takeoff when takeoffs are aligned)
+// { entries, aligned, startTime, endTime, time, playing, frameRequest, lastFrameAt }
+let playback = null;
+
+/**
+ * Time of every row of a flight, from the log timestamps (rows without one are placed by the logging rate)
+ * @param {Object} flight - Flight data with rows
+ * @returns {Array} Milliseconds since epoch per row (from 0 when the log has no timestamps at all)
+ */
+function getPlaybackRowTimes(flight) {
+  const { data } = flight;
+  const firstTimed = data.find(row => typeof row._timestamp === 'number');
+  const baseTime = firstTimed ? firstTimed._timestamp - data.indexOf(firstTimed) * LOG_SAMPLE_INTERVAL_SEC * 1000 : 0;
+
+  let lastTime = -Infinity;
+  return data.map((row, i) => {
+    const time = typeof row._timestamp === 'number' ? row._timestamp : baseTime + i * LOG_SAMPLE_INTERVAL_SEC * 1000;
+    // Never step back in time, so the clock → row search stays valid
+    lastTime = Math.max(lastTime, time);
+    return lastTime;
+  });
+}
+
+/**
+ * Check whether a flight's rows carry real timestamps (otherwise its clock starts at 0)
+ * @param {Object} flight - Flight data with rows
+ * @returns {boolean} True if any row has a timestamp
+ */
+function hasPlaybackTimestamps(flight) {
+  return flight.data.some(row => typeof row._timestamp === 'number');
+}
+
+/**
+ * SVG aircraft icon pointing north, filled with the flight's color
+ * @param {string} color - Fill color
+ * @returns {L.DivIcon} Marker icon
+ */
+function createPlaybackIcon(color) {
+  return L.divIcon({
+    className: 'playback-marker',
+    html: `<div class="playback-aircraft"><svg viewBox="0 0 24 24" width="26" height="26">
+      <path d="M12 2 L13.4 9 L21 13.2 L21 15 L13.4 12.6 L13 18 L15.6 20 L15.6 21.6 L12 20.6 L8.4 21.6 L8.4 20 L11 18 L10.6 12.6 L3 15 L3 13.2 L10.6 9 Z"
+        fill="${color}" stroke="white" stroke-width="1.2" stroke-linejoin="round" />
+    </svg></div>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13]
+  });
+}
+
+/**
+ * Time of the first airborne row of a flight (its first row when it never flies)
+ * @param {Object} flight - Flight data with rows
+ * @param {Array} times - Row times from getPlaybackRowTimes
+ * @returns {number} Takeoff time
+ */
+function getPlaybackTakeoffTime(flight, times) {
+  const takeoffIdx = flight.data.findIndex(isAirborneRow);
+  return times[Math.max(0, takeoffIdx)];
+}
+
+/**
+ * Set up the marker and trail of one flight
+ * @param {Object} flight - Flight data with rows
+ * @param {boolean} alignTakeoff - Put this flight's takeoff at clock time 0
+ * @returns {Object} Playback entry (offset = row time at clock time 0)
+ */
+function buildPlaybackEntry(flight, alignTakeoff = false) {
+  const color = (flight.renderStyle && flight.renderStyle.color) || SINGLE_FLIGHT_COLOR;
+  const positions = flight.data.map(row => [row.Latitude || row.latitude, row.Longitude || row.longitude]);
+  const times = getPlaybackRowTimes(flight);
+
+  return {
+    flight,
+    times,
+    offset: alignTakeoff ? getPlaybackTakeoffTime(flight, times) : 0,
+    positions,
+    heading: 0,
+    marker: L.marker(positions[0], { icon: createPlaybackIcon(color), interactive: false, zIndexOffset: 1000 }),
+    trail: L.polyline([], {
+      color,
+      weight: TRACK_STYLE.weight + PLAYBACK_TRAIL_EXTRA_WEIGHT,
+      opacity: 1,
+      lineCap: TRACK_STYLE.lineCap,
+      lineJoin: TRACK_STYLE.lineJoin,
+      interactive: false
+    }),
+    trailLength: 0
+  };
+}
+
+/**
+ * Index of the last row at or before a time
+ * @param {Array} times - Row times (never decreasing)
+ * @param {number} time - Clock time
+ * @returns {number} Row index (-1 before the first row)
+ */
+function findPlaybackRowIndex(times, time) {
+  let low = 0;
+  let high = times.length - 1;
+  if (time < times[0]) return -1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (times[mid] <= time) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * Move one flight's marker and trail to a clock time
+ * @param {Object} entry - Playback entry
+ * @param {number} clockTime - Clock time
+ */
+function updatePlaybackEntry(entry, clockTime) {
+  const { times, positions, flight } = entry;
+  const time = clockTime + entry.offset;
+
+  // Flights whose log hasn't started yet stay hidden; finished ones stay parked at their last position
+  entry.marker.setOpacity(time < times[0] ? 0 : 1);
+
+  const index = Math.max(0, findPlaybackRowIndex(times, time));
+  const next = Math.min(index + 1, positions.length - 1);
+
+  // Interpolate between the two rows around the clock time
+  const span = times[next] - times[index];
+  const fraction = span > 0 ? Math.min(1, Math.max(0, (time - times[index]) / span)) : 0;
+  const lat = positions[index][0] + (positions[next][0] - positions[index][0]) * fraction;
+  const lon = positions[index][1] + (positions[next][1] - positions[index][1]) * fraction;
+  entry.marker.setLatLng([lat, lon]);
+
+  // Point the aircraft along the track (logged track, else the direction of travel; keep it while stopped)
+  const row = flight.data[index];
+  if (typeof row.TRK === 'number') {
+    entry.heading = row.TRK;
+  } else if (next !== index && getDistance(positions[index][0], positions[index][1], positions[next][0], positions[next][1]) > 0.001) {
+    entry.heading = getBearing(positions[index][0], positions[index][1], positions[next][0], positions[next][1]);
+  }
+  const element = entry.marker.getElement();
+  if (element) {
+    element.querySelector('.playback-aircraft').style.transform = `rotate(${entry.heading}deg)`;
+  }
+
+  // Grow the trail row by row while playing; rebuild it after a jump with the scrubber
+  const wanted = time < times[0] ? 0 : index + 1;
+  if (wanted < entry.trailLength || wanted - entry.trailLength > PLAYBACK_MAX_TRAIL_APPEND) {
+    entry.trail.setLatLngs(positions.slice(0, wanted));
+  } else {
+    for (let i = entry.trailLength; i < wanted; i++) {
+      entry.trail.addLatLng(positions[i]);
+    }
+  }
+  entry.trailLength = wanted;
+}
+
+/**
+ * Set the playback clock and move everything to it
+ * @param {number} time - Clock time (clamped to the replay)
+ */
+function setPlaybackTime(time) {
+  if (!playback) return;
+
+  playback.time = Math.min(playback.endTime, Math.max(playback.startTime, time));
+  playback.entries.forEach(entry => updatePlaybackEntry(entry, playback.time));
+  updatePlaybackControls();
+}
+
+/**
+ * Fade (or restore) the static tracks of the replayed flights, so the drawn trail stands out
+ * @param {boolean} faded - Whether to fade
+ */
+function fadePlaybackTracks(faded) {
+  playback.entries.forEach(entry => {
+    (flightTrackLayers.get(entry.flight) || []).forEach(layer => {
+      layer.setStyle({ opacity: faded ? PLAYBACK_FADED_TRACK_OPACITY : TRACK_STYLE.opacity });
+    });
+  });
+}
+
+/**
+ * Start a replay of one or more flights on a shared clock (paused at its start)
+ * By default the clock is UTC, so flights that were in the air together move together;
+ * aligning takeoffs instead starts every flight's clock at its own takeoff (to compare different days)
+ * Flights without timestamps have no UTC time, so mixing them with timed flights always aligns takeoffs
+ * @param {Array} flights - Flight data with rows
+ * @param {boolean} alignTakeoffs - Align the flights by takeoff time
+ */
+function startPlayback(flights, alignTakeoffs = false) {
+  stopPlayback();
+
+  const timedCount = flights.filter(hasPlaybackTimestamps).length;
+  const aligned = alignTakeoffs || (timedCount > 0 && timedCount < flights.length);
+
+  const entries = flights.map(flight => buildPlaybackEntry(flight, aligned));
+  const startTime = Math.min(...entries.map(entry => entry.times[0] - entry.offset));
+  playback = {
+    entries,
+    aligned,
+    startTime,
+    endTime: Math.max(...entries.map(entry => entry.times[entry.times.length - 1] - entry.offset)),
+    time: startTime,
+    playing: false,
+    frameRequest: null,
+    lastFrameAt: null
+  };
+
+  entries.forEach(entry => {
+    entry.trail.addTo(map);
+    entry.marker.addTo(map);
+  });
+  fadePlaybackTracks(true);
+  setPlaybackTime(playback.startTime);
+}
+
+/**
+ * End the replay and remove its markers and trails
+ */
+function stopPlayback() {
+  if (!playback) return;
+
+  pausePlayback();
+  fadePlaybackTracks(false);
+  playback.entries.forEach(entry => {
+    entry.marker.remove();
+    entry.trail.remove();
+  });
+  playback = null;
+  updatePlaybackControls();
+}
+
+/**
+ * Advance the clock by the real time since the last frame times the speed multiplier
+ * @param {number} now - Frame timestamp from requestAnimationFrame
+ */
+function playbackFrame(now) {
+  if (!playback || !playback.playing) return;
+
+  const elapsed = playback.lastFrameAt === null ? 0 : now - playback.lastFrameAt;
+  playback.lastFrameAt = now;
+
+  const speed = parseFloat(document.getElementById('playback-speed').value) || 1;
+  setPlaybackTime(playback.time + elapsed * speed);
+
+  if (playback.time >= playback.endTime) {
+    pausePlayback();
+    return;
+  }
+  playback.frameRequest = requestAnimationFrame(playbackFrame);
+}
+
+/**
+ * Play (from the start again once the end was reached)
+ */
+function resumePlayback() {
+  if (!playback || playback.playing) return;
+
+  if (playback.time >= playback.endTime) {
+    setPlaybackTime(playback.startTime);
+  }
+  playback.playing = true;
+  playback.lastFrameAt = null;
+  playback.frameRequest = requestAnimationFrame(playbackFrame);
+  updatePlaybackControls();
+}
+
+/**
+ * Pause at the current time
+ */
+function pausePlayback() {
+  if (!playback || !playback.playing) return;
+
+  playback.playing = false;
+  cancelAnimationFrame(playback.frameRequest);
+  playback.frameRequest = null;
+  updatePlaybackControls();
+}
+
+/**
+ * Flights that can be replayed (restored trips keep no log rows)
+ * @param {Array} flights - Flight data objects
+ * @returns {Array} Flights with rows
+ */
+function getPlayableFlights(flights) {
+  return flights.filter(flight => flight.data && flight.data.length > 1);
+}
+
+/**
+ * Format a clock duration as h:mm:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration like "0:42:10"
+ */
+function formatPlaybackDuration(ms) {
+  const totalSec = Math.floor(Math.abs(ms) / 1000);
+  return `${Math.floor(totalSec / 3600)}:${String(Math.floor(totalSec / 60) % 60).padStart(2, '0')}:${String(totalSec % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format the playback clock, e.g. "15:23:45Z · +0:42:10", or "T+0:05:00" when takeoffs are aligned
+ * @returns {string} Clock text
+ */
+function formatPlaybackClock() {
+  if (playback.aligned) {
+    return `T${playback.time < 0 ? '−' : '+'}${formatPlaybackDuration(playback.time)}`;
+  }
+
+  // Logs without timestamps run on a clock starting at 0 - only the elapsed time means anything
+  const elapsed = formatPlaybackDuration(playback.time - playback.startTime);
+  return playback.startTime > 0
+    ? `${new Date(playback.time).toISOString().slice(11, 19)}Z · +${elapsed}`
+    : `+${elapsed}`;
+}
+
+/**
+ * Reflect the replay state in the playback panel
+ */
+function updatePlaybackControls() {
+  const playButton = document.getElementById('playback-play');
+  const scrubber = document.getElementById('playback-scrubber');
+  const clock = document.getElementById('playback-time');
+
+  playButton.textContent = playback && playback.playing ? '❚❚' : '▶';
+  playButton.title = playback && playback.playing ? 'Pause' : 'Play';
+  document.getElementById('playback-stop').disabled = !playback;
+
+  if (!playback) {
+    scrubber.value = 0;
+    clock.textContent = '';
+    return;
+  }
+
+  const duration = playback.endTime - playback.startTime;
+  scrubber.value = duration > 0 ? Math.round((playback.time - playback.startTime) / duration * PLAYBACK_SCRUBBER_STEPS) : 0;
+  clock.textContent = formatPlaybackClock();
+}
+
+/**
+ * Refresh the flight choices after flights were (re)rendered, and keep a running replay on the map
+ * @param {Array} flights - Flights now on the map
+ */
+function syncPlayback(flights) {
+  const playable = getPlayableFlights(flights);
+  const select = document.getElementById('playback-flight');
+  const selected = select.value;
+
+  const allOption = playable.length > 1 ? `<option value="all">All ${playable.length} flights (shared clock)</option>` : '';
+  select.innerHTML = allOption + playable.map((flight, index) =>
+    `<option value="${index}">${escapeHtml(flight.filename)}${flight.startTime ? ` (${formatUtcTime(flight.startTime)})` : ''}</option>`
+  ).join('');
+  if ([...select.options].some(option => option.value === selected)) select.value = selected;
+  document.getElementById('playback-panel').style.display = playable.length > 0 ? '' : 'none';
+
+  if (!playback) return;
+
+  // The replayed flights were rebuilt (e.g. legs split) - start over
+  if (!playback.entries.every(entry => flights.includes(entry.flight))) {
+    stopPlayback();
+    return;
+  }
+
+  // Redrawing removed every layer; put the replay back on top of the new tracks
+  playback.entries.forEach(entry => {
+    if (!map.hasLayer(entry.trail)) entry.trail.addTo(map);
+    if (!map.hasLayer(entry.marker)) entry.marker.addTo(map);
+  });
+  fadePlaybackTracks(true);
+  setPlaybackTime(playback.time);
+}
+
+/**
+ * Setup the playback panel controls
+ */
+function setupPlayback() {
+  document.getElementById('playback-scrubber').max = PLAYBACK_SCRUBBER_STEPS;
+
+  const speedSelect = document.getElementById('playback-speed');
+  speedSelect.innerHTML = PLAYBACK_SPEEDS.map(speed =>
+    `<option value="${speed}"${speed === PLAYBACK_DEFAULT_SPEED ? ' selected' : ''}>${speed}×</option>`
+  ).join('');
+
+  const alignCheckbox = document.getElementById('playback-align');
+
+  // Start a replay of whatever is selected; false when there is nothing to replay
+  const startSelectedPlayback = () => {
+    const playable = getPlayableFlights(loadedFlights);
+    const value = document.getElementById('playback-flight').value;
+    const flights = value === 'all' ? playable : [playable[value]].filter(Boolean);
+    if (flights.length === 0) return false;
+
+    startPlayback(flights, alignCheckbox.checked);
+    // Mixing timed and untimed logs forces aligned takeoffs
+    alignCheckbox.checked = playback.aligned;
+    return true;
+  };
+
+  document.getElementById('playback-play').addEventListener('click', () => {
+    if (playback && playback.playing) {
+      pausePlayback();
+      return;
+    }
+    if (!playback && !startSelectedPlayback()) return;
+    resumePlayback();
+  });
+
+  document.getElementById('playback-stop').addEventListener('click', stopPlayback);
+
+  // Choosing other flights replaces the replay
+  document.getElementById('playback-flight').addEventListener('change', () => {
+    if (playback) stopPlayback();
+  });
+
+  // Switching between the UTC clock and aligned takeoffs restarts the replay on the new clock
+  alignCheckbox.addEventListener('change', () => {
+    if (playback) startSelectedPlayback();
+  });
+
+  document.getElementById('playback-scrubber').addEventListener('input', (event) => {
+    if (!playback && !startSelectedPlayback()) return;
+    const fraction = parseFloat(event.target.value) / PLAYBACK_SCRUBBER_STEPS;
+    setPlaybackTime(playback.startTime + fraction * (playback.endTime - playback.startTime));
+  });
+
+  updatePlaybackControls();
+}
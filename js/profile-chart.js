@@ -0,0 +1,337 @@
+/**
+ * Altitude (MSL/AGL) and ground speed profile of the selected flight, drawn on a canvas under the map
+ * Hovering the chart moves a cursor along the track; clicking a track highlights the point on the chart
+ */
+
+// Flight shown in the chart, its series and the highlighted row (from a track click)
+let profileFlight = null;
+let profileSeries = null;
+let profileHighlightIndex = null;
+
+// Map marker following the chart cursor
+let profileCursorMarker = null;
+
+/**
+ * Build the chart series of a flight against elapsed time or distance flown
+ * @param {Object} flight - Flight data with rows
+ * @param {string} xAxis - 'time' (seconds) or 'distance' (nm)
+ * @returns {Object} { x, msl, agl, gs } arrays, one entry per log row, plus the axis maxima
+ */
+function buildProfileSeries(flight, xAxis) {
+  const { data } = flight;
+  const series = { x: [], msl: [], agl: [], gs: [], maxAltitude: 0, maxSpeed: 0 };
+  let distance = 0;
+
+  data.forEach((row, i) => {
+    if (xAxis === 'distance') {
+      if (i > 0) {
+        const prev = data[i - 1];
+        distance += getDistance(prev.Latitude || prev.latitude, prev.Longitude || prev.longitude,
+          row.Latitude || row.latitude, row.Longitude || row.longitude) / KM_PER_NM;
+      }
+      series.x.push(distance);
+    } else {
+      series.x.push(getRowSpanSeconds(data, 0, i));
+    }
+
+    series.msl.push(getRowAltitude(row));
+    series.agl.push(typeof row.AGL === 'number' ? row.AGL : null);
+    series.gs.push(typeof row.GndSpd === 'number' ? row.GndSpd : null);
+
+    series.maxAltitude = Math.max(series.maxAltitude, series.msl[i] ?? 0, series.agl[i] ?? 0);
+    series.maxSpeed = Math.max(series.maxSpeed, series.gs[i] ?? 0);
+  });
+
+  return series;
+}
+
+/**
+ * Round an axis maximum up to a readable step
+ * @param {number} max - Largest value on the axis
+ * @param {number} tickCount - Number of ticks wanted
+ * @returns {Object} { max, step }
+ */
+function getNiceAxis(max, tickCount) {
+  if (!(max > 0)) return { max: 1, step: 1 };
+
+  const rough = max / tickCount;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 2.5, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+  return { max: Math.ceil(max / step) * step, step };
+}
+
+/**
+ * Format an x axis value
+ * @param {number} value - Seconds or nm
+ * @param {string} xAxis - 'time' or 'distance'
+ * @returns {string} Label like "1:05" or "42 nm"
+ */
+function formatProfileX(value, xAxis) {
+  if (xAxis === 'distance') return `${value.toFixed(value < 10 ? 1 : 0)} nm`;
+
+  const totalMinutes = Math.floor(value / 60);
+  return `${Math.floor(totalMinutes / 60)}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Index of the series point whose x value is closest (x values only ever grow)
+ * @param {Array} xs - X values
+ * @param {number} x - Wanted x value
+ * @returns {number} Index
+ */
+function findProfileIndexAtX(xs, x) {
+  let low = 0;
+  let high = xs.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (xs[mid] < x) low = mid + 1;
+    else high = mid;
+  }
+  return low > 0 && Math.abs(xs[low - 1] - x) < Math.abs(xs[low] - x) ? low - 1 : low;
+}
+
+/**
+ * Chart geometry for the current canvas size and series
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @returns {Object} Plot area, axes and value→pixel functions
+ */
+function getProfileLayout(canvas) {
+  const { left, right, top, bottom } = PROFILE_CHART_PADDING;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  const plot = { left, top, right: width - right, bottom: height - bottom };
+
+  const xMax = profileSeries.x[profileSeries.x.length - 1] || 1;
+  const altitudeAxis = getNiceAxis(profileSeries.maxAltitude, 4);
+  const speedAxis = getNiceAxis(profileSeries.maxSpeed, 4);
+
+  return {
+    plot,
+    width,
+    height,
+    xMax,
+    altitudeAxis,
+    speedAxis,
+    toX: x => plot.left + (x / xMax) * (plot.right - plot.left),
+    fromX: px => ((px - plot.left) / (plot.right - plot.left)) * xMax,
+    toAltitudeY: v => plot.bottom - (Math.max(0, v) / altitudeAxis.max) * (plot.bottom - plot.top),
+    toSpeedY: v => plot.bottom - (Math.max(0, v) / speedAxis.max) * (plot.bottom - plot.top)
+  };
+}
+
+/**
+ * Draw the chart, with the highlighted point and optionally a hover cursor
+ * @param {number|null} cursorIndex - Row under the mouse, or null
+ */
+function drawProfileChart(cursorIndex = null) {
+  const canvas = document.getElementById('profile-canvas');
+  if (!profileSeries || canvas.clientWidth === 0) return;
+
+  // Match the canvas resolution to the screen
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = canvas.clientWidth * ratio;
+  canvas.height = canvas.clientHeight * ratio;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+  const layout = getProfileLayout(canvas);
+  const { plot } = layout;
+  const xAxis = document.getElementById('profile-x-axis').value;
+
+  ctx.clearRect(0, 0, layout.width, layout.height);
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.lineWidth = 1;
+
+  // Grid and altitude (left) / ground speed (right) axis labels
+  ctx.strokeStyle = '#e4e4e4';
+  ctx.fillStyle = '#666';
+  for (let tick = 0; tick <= layout.altitudeAxis.max; tick += layout.altitudeAxis.step) {
+    const y = layout.toAltitudeY(tick);
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y);
+    ctx.lineTo(plot.right, y);
+    ctx.stroke();
+    ctx.textAlign = 'right';
+    ctx.fillText(`${tick} ft`, plot.left - 4, y + 4);
+  }
+  ctx.textAlign = 'left';
+  for (let tick = 0; tick <= layout.speedAxis.max; tick += layout.speedAxis.step) {
+    ctx.fillText(`${tick} kt`, plot.right + 4, layout.toSpeedY(tick) + 4);
+  }
+
+  // X axis labels (whole minutes/hours for time)
+  const xTickCount = Math.max(2, Math.floor((plot.right - plot.left) / 80));
+  const xStep = xAxis === 'time'
+    ? PROFILE_TIME_STEPS_SEC.find(step => step >= layout.xMax / xTickCount) || PROFILE_TIME_STEPS_SEC[PROFILE_TIME_STEPS_SEC.length - 1]
+    : getNiceAxis(layout.xMax, xTickCount).step;
+  ctx.textAlign = 'center';
+  for (let tick = 0; tick <= layout.xMax; tick += xStep) {
+    ctx.fillText(formatProfileX(tick, xAxis), layout.toX(tick), plot.bottom + 14);
+  }
+
+  // One line per series, thinned to about two points per pixel
+  const stride = Math.max(1, Math.floor(profileSeries.x.length / ((plot.right - plot.left) * 2)));
+  const drawSeries = (values, toY, color) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    for (let i = 0; i < values.length; i += stride) {
+      if (values[i] === null) {
+        drawing = false;
+        continue;
+      }
+      const x = layout.toX(profileSeries.x[i]);
+      const y = toY(values[i]);
+      if (drawing) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+      drawing = true;
+    }
+    ctx.stroke();
+  };
+
+  drawSeries(profileSeries.msl, layout.toAltitudeY, PROFILE_COLORS.msl);
+  drawSeries(profileSeries.agl, layout.toAltitudeY, PROFILE_COLORS.agl);
+  drawSeries(profileSeries.gs, layout.toSpeedY, PROFILE_COLORS.gs);
+
+  // Vertical marker lines: the clicked point stays, the hover cursor follows the mouse
+  const drawMarkerLine = (index, color) => {
+    const x = layout.toX(profileSeries.x[index]);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x, plot.top);
+    ctx.lineTo(x, plot.bottom);
+    ctx.stroke();
+  };
+
+  if (profileHighlightIndex !== null) drawMarkerLine(profileHighlightIndex, PROFILE_COLORS.highlight);
+  if (cursorIndex !== null) drawMarkerLine(cursorIndex, PROFILE_COLORS.cursor);
+}
+
+/**
+ * Show the values of one row under the chart and put the map cursor on it
+ * @param {number} index - Row index
+ */
+function showProfilePoint(index) {
+  const row = profileFlight.data[index];
+  const xAxis = document.getElementById('profile-x-axis').value;
+  const time = typeof row._timestamp === 'number' ? formatUtcTime(row._timestamp) : formatProfileX(profileSeries.x[index], xAxis);
+
+  document.getElementById('profile-readout').textContent = [
+    xAxis === 'distance' ? `${formatProfileX(profileSeries.x[index], xAxis)} · ${time}` : time,
+    `MSL ${formatStat(profileSeries.msl[index], 'ft')}`,
+    `AGL ${formatStat(profileSeries.agl[index], 'ft')}`,
+    `GS ${formatStat(profileSeries.gs[index], 'kt')}`
+  ].join(' · ');
+
+  const position = [row.Latitude || row.latitude, row.Longitude || row.longitude];
+  if (!profileCursorMarker) {
+    profileCursorMarker = L.circleMarker(position, PROFILE_CURSOR_STYLE);
+  }
+  profileCursorMarker.setLatLng(position);
+  if (!map.hasLayer(profileCursorMarker)) {
+    profileCursorMarker.addTo(map);
+  }
+}
+
+/**
+ * Remove the map cursor
+ */
+function hideProfileCursor() {
+  if (profileCursorMarker && map.hasLayer(profileCursorMarker)) {
+    profileCursorMarker.remove();
+  }
+}
+
+/**
+ * Open the profile panel for a flight
+ * @param {Object} flight - Flight data
+ * @param {L.LatLng|null} latlng - Clicked track position to highlight, or null
+ */
+function showFlightProfile(flight, latlng = null) {
+  // Restored trips keep no log rows to chart
+  if (!flight.data || flight.data.length === 0) return;
+
+  const panel = document.getElementById('profile-panel');
+  if (profileFlight !== flight) {
+    profileFlight = flight;
+    profileSeries = buildProfileSeries(flight, document.getElementById('profile-x-axis').value);
+  }
+  profileHighlightIndex = latlng ? findNearestRowIndex(flight, latlng) : null;
+
+  document.getElementById('profile-title').textContent = flight.filename;
+  panel.style.display = '';
+  panel.classList.remove('collapsed');
+
+  drawProfileChart();
+  if (profileHighlightIndex !== null) {
+    showProfilePoint(profileHighlightIndex);
+  } else {
+    document.getElementById('profile-readout').textContent = '';
+    hideProfileCursor();
+  }
+}
+
+/**
+ * Close the profile panel
+ */
+function hideFlightProfile() {
+  profileFlight = null;
+  profileSeries = null;
+  profileHighlightIndex = null;
+  hideProfileCursor();
+  document.getElementById('profile-panel').style.display = 'none';
+}
+
+/**
+ * Close the profile when its flight is no longer loaded (e.g. after legs were split or merged)
+ * @param {Array} flights - Flights now on the map
+ */
+function syncFlightProfile(flights) {
+  if (profileFlight && !flights.includes(profileFlight)) {
+    hideFlightProfile();
+  }
+}
+
+/**
+ * Setup the profile panel controls and chart hover
+ */
+function setupProfileChart() {
+  const panel = document.getElementById('profile-panel');
+  const canvas = document.getElementById('profile-canvas');
+
+  document.getElementById('profile-toggle').addEventListener('click', () => {
+    panel.classList.toggle('collapsed');
+    drawProfileChart();
+  });
+  document.getElementById('profile-close').addEventListener('click', hideFlightProfile);
+
+  document.getElementById('profile-x-axis').addEventListener('change', (event) => {
+    if (!profileFlight) return;
+    profileSeries = buildProfileSeries(profileFlight, event.target.value);
+    drawProfileChart();
+  });
+
+  canvas.addEventListener('mousemove', (event) => {
+    if (!profileSeries) return;
+    const layout = getProfileLayout(canvas);
+    const px = Math.min(layout.plot.right, Math.max(layout.plot.left, event.offsetX));
+    const index = findProfileIndexAtX(profileSeries.x, layout.fromX(px));
+
+    drawProfileChart(index);
+    showProfilePoint(index);
+  });
+
+  canvas.addEventListener('mouseleave', () => {
+    if (!profileSeries) return;
+    drawProfileChart();
+    if (profileHighlightIndex !== null) {
+      showProfilePoint(profileHighlightIndex);
+    } else {
+      hideProfileCursor();
+    }
+  });
+
+  window.addEventListener('resize', () => drawProfileChart());
+}
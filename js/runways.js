@@ -0,0 +1,316 @@
+/**
+ * Runway database (OurAirports runways.csv) and runway identification for takeoffs and landings
+ */
+
+// Airport code -> runway ends ({ ident, heading, lat, lon, oppositeLat, oppositeLon })
+let runways = {};
+let runwaysLoading = null;
+let runwaysLoaded = false;
+
+const localRunwaysCSVPath = 'runways.csv';
+const remoteRunwaysCSVPath = 'https://raw.githubusercontent.com/davidmegginson/ourairports-data/main/runways.csv';
+
+/**
+ * Check whether runway identification is switched on
+ * @returns {boolean} True if the "Identify runways" box is checked
+ */
+function isRunwayIdentificationEnabled() {
+  const checkbox = document.getElementById('identify-runways');
+  return Boolean(checkbox && checkbox.checked);
+}
+
+/**
+ * Build one runway end from a runways.csv row
+ * @param {Object} row - runways.csv row
+ * @param {string} end - 'le' or 'he'
+ * @param {string} opposite - The other end's prefix
+ * @returns {Object|null} Runway end or null if it has no identifier
+ */
+function parseRunwayEnd(row, end, opposite) {
+  const ident = (row[`${end}_ident`] || '').trim();
+  if (!ident) return null;
+
+  const lat = parseFloat(row[`${end}_latitude_deg`]);
+  const lon = parseFloat(row[`${end}_longitude_deg`]);
+  const oppositeLat = parseFloat(row[`${opposite}_latitude_deg`]);
+  const oppositeLon = parseFloat(row[`${opposite}_longitude_deg`]);
+  const hasPosition = ![lat, lon, oppositeLat, oppositeLon].some(isNaN);
+
+  // Heading from the file, else from the threshold positions, else from the runway number (magnetic, close enough)
+  let heading = parseFloat(row[`${end}_heading_degT`]);
+  if (isNaN(heading) && hasPosition) {
+    heading = getBearing(lat, lon, oppositeLat, oppositeLon);
+  }
+  if (isNaN(heading)) {
+    const number = parseInt(ident, 10);
+    heading = number >= 1 && number <= 36 ? number * 10 : NaN;
+  }
+  if (isNaN(heading)) return null;
+
+  return hasPosition
+    ? { ident, heading, lat, lon, oppositeLat, oppositeLon }
+    : { ident, heading };
+}
+
+/**
+ * Parse runways.csv
+ * @param {string} csvData - OurAirports runways.csv contents
+ * @returns {Promise<Object>} Runway ends keyed by airport code
+ */
+function parseRunwaysCsv(csvData) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(csvData, {
+      header: true,
+      complete: function(results) {
+        const parsedRunways = {};
+
+        results.data.forEach(row => {
+          if (!row.airport_ident || row.closed === '1') return;
+
+          [parseRunwayEnd(row, 'le', 'he'), parseRunwayEnd(row, 'he', 'le')]
+            .filter(Boolean)
+            .forEach(runwayEnd => {
+              if (!parsedRunways[row.airport_ident]) parsedRunways[row.airport_ident] = [];
+              parsedRunways[row.airport_ident].push(runwayEnd);
+            });
+        });
+
+        resolve(parsedRunways);
+      },
+      error: function(error) {
+        console.error('Error parsing runways CSV:', error);
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Download and parse the runway database, then cache it for later sessions
+ * @returns {Promise<Object>} { info, data }
+ */
+async function downloadRunwaysData() {
+  let csvData;
+  let source;
+  try {
+    const response = await fetch(remoteRunwaysCSVPath);
+    if (!response.ok) throw new Error('Remote runway data unavailable');
+    csvData = await response.text();
+    source = 'remote';
+  } catch (e) {
+    console.log('Using local runway database...');
+    const response = await fetch(localRunwaysCSVPath);
+    if (!response.ok) throw new Error('Local runway data unavailable');
+    csvData = await response.text();
+    source = 'local';
+  }
+
+  const data = await parseRunwaysCsv(csvData);
+  const info = {
+    version: AIRPORT_CACHE_VERSION,
+    source,
+    downloadedAt: Date.now(),
+    count: Object.keys(data).length
+  };
+  await saveCachedDataset('runways', data, info);
+
+  return { info, data };
+}
+
+/**
+ * Load runway data on demand (cached copy first, like the airport database)
+ * @returns {Promise} Promise that resolves when runways are loaded
+ */
+function loadRunwaysData() {
+  if (runwaysLoaded) {
+    return Promise.resolve();
+  }
+
+  if (runwaysLoading) {
+    return runwaysLoading;
+  }
+
+  runwaysLoading = (async () => {
+    try {
+      const loaded = await loadCachedDataset('runways') || await downloadRunwaysData();
+      runways = loaded.data;
+      runwaysLoaded = true;
+      console.log(`Loaded runways for ${Object.keys(runways).length} airports`);
+    } catch (error) {
+      console.error('Error loading runways data:', error);
+      runwaysLoading = null; // Allow the next attempt to try again
+      throw error;
+    }
+  })();
+
+  return runwaysLoading;
+}
+
+/**
+ * Download fresh runway data, if runways are in use
+ * @returns {Promise} Promise that resolves when the new data is active
+ */
+async function refreshRunwaysData() {
+  if (!runwaysLoaded) return;
+
+  const downloaded = await downloadRunwaysData();
+  runways = downloaded.data;
+}
+
+/**
+ * Get a row's position as numbers
+ * @param {Object} row - Flight data row
+ * @returns {Array} [lat, lon]
+ */
+function getRowPosition(row) {
+  return [parseFloat(row.Latitude || row.latitude), parseFloat(row.Longitude || row.longitude)];
+}
+
+/**
+ * Get the heading of a takeoff roll or landing rollout
+ * @param {Array} rows - Roll rows
+ * @returns {number|null} True track in degrees, or null if unknown
+ */
+function getRollHeading(rows) {
+  // Circular mean of the logged GPS track - runway headings are true, so magnetic HDG can't be mixed in
+  let sumSin = 0;
+  let sumCos = 0;
+  let count = 0;
+  rows.forEach(row => {
+    if (typeof row.TRK !== 'number' || isNaN(row.TRK)) return;
+    sumSin += Math.sin(row.TRK * Math.PI / 180);
+    sumCos += Math.cos(row.TRK * Math.PI / 180);
+    count++;
+  });
+  if (count > 0) {
+    return (Math.atan2(sumSin, sumCos) * 180 / Math.PI + 360) % 360;
+  }
+
+  // No track column - use the direction of travel along the roll (true, like the runway headings)
+  if (rows.length < 2) return null;
+  const [firstLat, firstLon] = getRowPosition(rows[0]);
+  const [lastLat, lastLon] = getRowPosition(rows[rows.length - 1]);
+  if (firstLat === lastLat && firstLon === lastLon) return null;
+  return getBearing(firstLat, firstLon, lastLat, lastLon);
+}
+
+/**
+ * Find the takeoff roll: the fast ground rows leading up to the first liftoff at or after a row
+ * @param {Array} data - Flight data rows
+ * @param {number} fromIdx - Row to start looking at
+ * @returns {Array} Roll rows (empty if there was no takeoff)
+ */
+function findTakeoffRoll(data, fromIdx = 0) {
+  let liftoffIdx = -1;
+  for (let i = fromIdx; i < data.length; i++) {
+    if (isAirborneRow(data[i])) {
+      liftoffIdx = i;
+      break;
+    }
+  }
+  if (liftoffIdx < 0) return [];
+
+  let rollStartIdx = liftoffIdx;
+  while (rollStartIdx > fromIdx && (data[rollStartIdx - 1].GndSpd || 0) >= RUNWAY_ROLL_MIN_SPEED_KT) {
+    rollStartIdx--;
+  }
+  return data.slice(rollStartIdx, liftoffIdx + 1);
+}
+
+/**
+ * Find the landing rollout: the fast rows after the last touchdown before a row
+ * The rollout ends at toIdx or when the aircraft is airborne again (touch-and-goes never slow down)
+ * @param {Array} data - Flight data rows
+ * @param {number} toIdx - Row to stop looking at (exclusive)
+ * @returns {Array} Rollout rows (empty if there was no landing)
+ */
+function findLandingRollout(data, toIdx = data.length) {
+  const endIdx = Math.min(toIdx, data.length);
+  let touchdownIdx = -1;
+  for (let i = endIdx - 1; i >= 0; i--) {
+    if (isAirborneRow(data[i])) {
+      touchdownIdx = i;
+      break;
+    }
+  }
+  if (touchdownIdx < 0) return [];
+
+  let rolloutEndIdx = touchdownIdx;
+  while (rolloutEndIdx + 1 < endIdx && !isAirborneRow(data[rolloutEndIdx + 1]) &&
+    (data[rolloutEndIdx + 1].GndSpd || 0) >= RUNWAY_ROLL_MIN_SPEED_KT) {
+    rolloutEndIdx++;
+  }
+  return data.slice(touchdownIdx, rolloutEndIdx + 1);
+}
+
+/**
+ * Match a takeoff roll or landing rollout against an airport's runway ends
+ * @param {string} code - Airport code
+ * @param {Array} rows - Roll rows
+ * @returns {string|null} Runway identifier (e.g. "27") or null
+ */
+function identifyRunway(code, rows) {
+  const ends = runways[code];
+  if (!ends || rows.length === 0) return null;
+
+  const heading = getRollHeading(rows);
+  if (heading === null) return null;
+
+  const candidates = ends
+    .map(end => ({ end, headingDiff: Math.abs(((heading - end.heading + 540) % 360) - 180) }))
+    .filter(candidate => candidate.headingDiff <= RUNWAY_MAX_HEADING_DIFF_DEG);
+  if (candidates.length === 0) return null;
+
+  // Parallel runways share a heading - pick the one whose centerline the roll followed
+  const positioned = candidates
+    .filter(candidate => candidate.end.lat !== undefined)
+    .map(candidate => {
+      const { lat, lon, oppositeLat, oppositeLon } = candidate.end;
+      const offset = rows.reduce((sum, row) =>
+        sum + perpendicularDistance(getRowPosition(row), [lat, lon], [oppositeLat, oppositeLon]), 0) / rows.length;
+      return { ...candidate, offset };
+    })
+    .filter(candidate => candidate.offset <= RUNWAY_MAX_CENTERLINE_OFFSET_KM)
+    .sort((a, b) => a.offset - b.offset);
+  if (positioned.length > 0) {
+    return positioned[0].end.ident;
+  }
+
+  candidates.sort((a, b) => a.headingDiff - b.headingDiff);
+  return candidates[0].end.ident;
+}
+
+/**
+ * Record the runway of each departure, arrival and intermediate stop of a flight
+ * @param {Object} flight - Flight data (its rows are needed; restored flights keep their saved runways)
+ */
+function assignFlightRunways(flight) {
+  if (!flight.data || flight.data.length === 0) return;
+
+  const enabled = runwaysLoaded && isRunwayIdentificationEnabled();
+  const { data } = flight;
+
+  flight.departureRunway = enabled && flight.departureAirport
+    ? identifyRunway(flight.departureAirport, findTakeoffRoll(data, 0))
+    : null;
+  flight.arrivalRunway = enabled && flight.arrivalAirport
+    ? identifyRunway(flight.arrivalAirport, findLandingRollout(data, data.length))
+    : null;
+
+  // A low approach never touches the runway, so there is no roll to match
+  flight.intermediateStops.forEach(stop => {
+    stop.runway = enabled && stop.endIndex !== undefined && stop.kind !== STOP_KINDS.LOW_APPROACH
+      ? identifyRunway(stop.airport, findLandingRollout(data, stop.endIndex))
+      : null;
+  });
+}
+
+/**
+ * Format an airport with its runway, e.g. "KOSH 27"
+ * @param {string} code - Airport code
+ * @param {string|null} runway - Runway identifier
+ * @returns {string} Airport and runway
+ */
+function formatAirportRunway(code, runway) {
+  return runway ? `${code} ${runway}` : code;
+}
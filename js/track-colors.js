@@ -0,0 +1,222 @@
+/**
+ * Data-driven track colors: each part of a track is colored by a log column (altitude, speed, CHT...)
+ * on a shared scale, explained by a legend on the map
+ */
+
+// Leaflet control holding the legend
+let trackColorLegendControl = null;
+
+/**
+ * Check whether a color mode colors the tracks by a log column
+ * @param {string} colorMode - Color mode (COLOR_MODES or a TRACK_DATA_COLOR_MODES key)
+ * @returns {boolean} True for data-driven modes
+ */
+function isDataColorMode(colorMode) {
+  return Object.prototype.hasOwnProperty.call(TRACK_DATA_COLOR_MODES, colorMode);
+}
+
+/**
+ * Value of the colored column in a log row
+ * @param {Object} row - Flight data row
+ * @param {Object} definition - Entry of TRACK_DATA_COLOR_MODES
+ * @returns {number|null} Value or null
+ */
+function getTrackColorValue(row, definition) {
+  const column = definition.columns.find(name => typeof row[name] === 'number');
+  return column ? row[column] : null;
+}
+
+/**
+ * Read a range input of the color controls
+ * @param {string} id - Input element id
+ * @returns {number|null} Value, or null when left on auto
+ */
+function getColorRangeInput(id) {
+  const value = parseFloat(document.getElementById(id).value);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Work out the color scale of a data-driven mode from the controls and the loaded flights
+ * Ranges left on auto span the values of all flights, so the same color means the same value everywhere
+ * @param {Array} flights - Flight data objects
+ * @param {string} colorMode - Data color mode
+ * @returns {Object} Scale { colorMode, label, unit, min, max, ramp } (min/max null without any values)
+ */
+function getTrackColorScale(flights, colorMode) {
+  const definition = TRACK_DATA_COLOR_MODES[colorMode];
+  const rampKey = document.getElementById('color-ramp').value;
+
+  let min = getColorRangeInput('color-range-min');
+  let max = getColorRangeInput('color-range-max');
+
+  if (min === null || max === null) {
+    let dataMin = Infinity;
+    let dataMax = -Infinity;
+    flights.forEach(flight => {
+      (flight.data || []).forEach(row => {
+        const value = getTrackColorValue(row, definition);
+        if (value === null) return;
+        dataMin = Math.min(dataMin, value);
+        dataMax = Math.max(dataMax, value);
+      });
+    });
+
+    if (dataMin <= dataMax) {
+      if (definition.symmetric) {
+        const extent = Math.max(Math.abs(dataMin), Math.abs(dataMax));
+        dataMin = -extent;
+        dataMax = extent;
+      }
+      if (min === null) min = dataMin;
+      if (max === null) max = dataMax;
+    }
+  }
+
+  const hasRange = min !== null && max !== null;
+  return {
+    colorMode,
+    label: definition.label,
+    unit: definition.unit,
+    min: hasRange ? min : null,
+    max: hasRange ? max : null,
+    ramp: TRACK_COLOR_RAMPS[rampKey] ? rampKey : definition.ramp
+  };
+}
+
+/**
+ * Color of a value on a scale, binned into TRACK_DATA_COLOR_STEPS steps
+ * @param {number|null} value - Value
+ * @param {Object} scale - Scale from getTrackColorScale
+ * @returns {string} CSS color
+ */
+function getTrackValueColor(value, scale) {
+  if (value === null || scale.min === null) return TRACK_DATA_NO_VALUE_COLOR;
+
+  const progress = scale.max > scale.min ? (value - scale.min) / (scale.max - scale.min) : 0.5;
+  const step = Math.max(0, Math.min(TRACK_DATA_COLOR_STEPS - 1, Math.floor(progress * TRACK_DATA_COLOR_STEPS)));
+  const [r, g, b] = interpolateColorRamp(TRACK_COLOR_RAMPS[scale.ramp].stops, (step + 0.5) / TRACK_DATA_COLOR_STEPS);
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Split a track into runs of one color
+ * Consecutive runs share their boundary point so the drawn track has no gaps
+ * @param {Array} points - Track points (any form)
+ * @param {Array} colors - Color of each point
+ * @returns {Array} Runs { color, points }
+ */
+function buildTrackColorRuns(points, colors) {
+  const runs = [];
+  let current = null;
+
+  points.forEach((point, i) => {
+    // A run keeps its color until it is long enough, smoothing over noisy values
+    if (!current || (colors[i] !== current.color && current.points.length >= TRACK_DATA_MIN_RUN_POINTS)) {
+      const previousPoint = current ? current.points[current.points.length - 1] : null;
+      current = { color: colors[i], points: previousPoint ? [previousPoint] : [] };
+      runs.push(current);
+    }
+    current.points.push(point);
+  });
+
+  return runs;
+}
+
+/**
+ * Replace a flight's polyline with segments colored by a log column
+ * Works on the raw rows (the simplified track has no values); each run is simplified on its own
+ * @param {L.Polyline} polyline - The flight's polyline
+ * @param {Object} flight - Flight data with rows
+ * @param {Object} scale - Scale from getTrackColorScale
+ * @returns {Array} Created segment polylines (none for restored trips, whose polyline stays)
+ */
+function applyDataColorsToPolyline(polyline, flight, scale) {
+  const data = flight.data || [];
+  if (data.length < 2) return [];
+
+  polyline.remove();
+
+  const definition = TRACK_DATA_COLOR_MODES[scale.colorMode];
+  const points = data.map(row => [row.Latitude || row.latitude, row.Longitude || row.longitude]);
+  const colors = data.map(row => getTrackValueColor(getTrackColorValue(row, definition), scale));
+  const trackWidth = getZoomAdaptiveTrackWidth(map.getZoom());
+
+  return buildTrackColorRuns(points, colors).map(run => L.polyline(simplifyPolyline(run.points, TRACK_SIMPLIFY_EPSILON_KM), {
+    color: run.color,
+    weight: trackWidth,
+    opacity: TRACK_STYLE.opacity,
+    smoothFactor: TRACK_STYLE.smoothFactor,
+    lineCap: TRACK_STYLE.lineCap,
+    lineJoin: TRACK_STYLE.lineJoin
+  }).addTo(map));
+}
+
+/**
+ * Format a legend value, e.g. "-1,200"
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatLegendValue(value) {
+  return Math.round(value).toLocaleString('en-US');
+}
+
+/**
+ * Show the scale of a data-driven mode in the legend (hidden for the other modes)
+ * @param {Object|null} scale - Scale from getTrackColorScale, or null
+ */
+function updateTrackColorLegend(scale) {
+  if (!trackColorLegendControl) return;
+
+  const container = trackColorLegendControl.getContainer();
+  container.style.display = scale ? '' : 'none';
+  if (!scale) return;
+
+  if (scale.min === null) {
+    container.innerHTML = `<div class="track-color-legend-title">${escapeHtml(scale.label)}</div>
+      <div class="track-color-legend-empty">No ${escapeHtml(scale.label.toLowerCase())} in the loaded logs</div>`;
+    return;
+  }
+
+  const colors = [];
+  for (let step = 0; step < TRACK_DATA_COLOR_STEPS; step++) {
+    colors.push(getTrackValueColor(scale.min + (step + 0.5) / TRACK_DATA_COLOR_STEPS * (scale.max - scale.min), scale));
+  }
+
+  container.innerHTML = `
+    <div class="track-color-legend-title">${escapeHtml(scale.label)} (${escapeHtml(scale.unit)})</div>
+    <div class="track-color-legend-bar" style="background: linear-gradient(to right, ${colors.join(', ')})"></div>
+    <div class="track-color-legend-ticks">
+      <span>${formatLegendValue(scale.min)}</span>
+      <span>${formatLegendValue((scale.min + scale.max) / 2)}</span>
+      <span>${formatLegendValue(scale.max)}</span>
+    </div>
+    <div class="track-color-legend-none"><span style="background: ${TRACK_DATA_NO_VALUE_COLOR}"></span>No value</div>`;
+}
+
+/**
+ * Show the ramp and range controls only for data-driven modes
+ */
+function updateDataColorControls() {
+  const colorMode = document.getElementById('color-mode').value;
+  document.getElementById('data-color-controls').style.display = isDataColorMode(colorMode) ? '' : 'none';
+}
+
+/**
+ * Fill the ramp choices and add the (initially hidden) legend to the map
+ */
+function setupTrackColorLegend() {
+  document.getElementById('color-ramp').innerHTML = '<option value="auto">Default colors</option>' +
+    Object.entries(TRACK_COLOR_RAMPS).map(([key, ramp]) => `<option value="${key}">${ramp.label}</option>`).join('');
+
+  trackColorLegendControl = L.control({ position: 'bottomright' });
+  trackColorLegendControl.onAdd = () => {
+    const container = L.DomUtil.create('div', 'track-color-legend');
+    container.style.display = 'none';
+    L.DomEvent.disableClickPropagation(container);
+    return container;
+  };
+  trackColorLegendControl.addTo(map);
+
+  updateDataColorControls();
+}
@@ -0,0 +1,174 @@
+/**
+ * Hover readout on the flight tracks: the log row nearest the cursor, found through a per-flight grid
+ * over the raw rows (the drawn track is simplified, so its vertices aren't log rows)
+ */
+
+// Flight -> { cellDeg, lonScale, cells: Map of cell key -> row indexes, bounds in cells }, built on first use
+const trackRowIndexes = new WeakMap();
+
+/**
+ * Build the row grid of a flight
+ * Longitude cells are widened by 1/cos(latitude) so cells are roughly square on the ground
+ * @param {Object} flight - Flight data with rows
+ * @returns {Object} Row index
+ */
+function buildTrackRowIndex(flight) {
+  const firstRow = flight.data[0];
+  const lonScale = Math.cos((firstRow.Latitude || firstRow.latitude) * Math.PI / 180);
+  const index = {
+    cellDeg: TRACK_INDEX_CELL_DEG,
+    lonScale,
+    cells: new Map(),
+    minLatCell: Infinity,
+    maxLatCell: -Infinity,
+    minLonCell: Infinity,
+    maxLonCell: -Infinity
+  };
+
+  flight.data.forEach((row, i) => {
+    const [latCell, lonCell] = getTrackCell(index, row.Latitude || row.latitude, row.Longitude || row.longitude);
+    const key = `${latCell},${lonCell}`;
+    if (!index.cells.has(key)) {
+      index.cells.set(key, []);
+    }
+    index.cells.get(key).push(i);
+
+    index.minLatCell = Math.min(index.minLatCell, latCell);
+    index.maxLatCell = Math.max(index.maxLatCell, latCell);
+    index.minLonCell = Math.min(index.minLonCell, lonCell);
+    index.maxLonCell = Math.max(index.maxLonCell, lonCell);
+  });
+
+  return index;
+}
+
+/**
+ * Grid cell of a position
+ * @param {Object} index - Row index
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Array} [latCell, lonCell]
+ */
+function getTrackCell(index, lat, lon) {
+  return [Math.floor(lat / index.cellDeg), Math.floor(lon * index.lonScale / index.cellDeg)];
+}
+
+/**
+ * Row index of a flight, built once per flight
+ * @param {Object} flight - Flight data with rows
+ * @returns {Object} Row index
+ */
+function getTrackRowIndex(flight) {
+  if (!trackRowIndexes.has(flight)) {
+    trackRowIndexes.set(flight, buildTrackRowIndex(flight));
+  }
+  return trackRowIndexes.get(flight);
+}
+
+/**
+ * Index of the raw log row closest to a map position
+ * Searches rings of cells around the cursor, stopping once no unsearched cell can hold a closer row
+ * @param {Object} flight - Flight data with rows
+ * @param {L.LatLng} latlng - Map position
+ * @returns {number} Row index (-1 without rows)
+ */
+function findNearestRowIndex(flight, latlng) {
+  if (!flight.data || flight.data.length === 0) return -1;
+
+  const index = getTrackRowIndex(flight);
+  const [centerLat, centerLon] = getTrackCell(index, latlng.lat, latlng.lng);
+  const maxRing = Math.max(
+    Math.abs(centerLat - index.minLatCell), Math.abs(centerLat - index.maxLatCell),
+    Math.abs(centerLon - index.minLonCell), Math.abs(centerLon - index.maxLonCell)
+  );
+
+  let nearestIdx = -1;
+  let nearestDistance = Infinity;
+
+  const searchCell = (latCell, lonCell) => {
+    (index.cells.get(`${latCell},${lonCell}`) || []).forEach(i => {
+      const row = flight.data[i];
+      // Squared degrees are enough to compare nearby points (longitude scaled by latitude)
+      const dLat = (row.Latitude || row.latitude) - latlng.lat;
+      const dLon = ((row.Longitude || row.longitude) - latlng.lng) * index.lonScale;
+      const distance = dLat * dLat + dLon * dLon;
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestIdx = i;
+      }
+    });
+  };
+
+  // Rows in cells outside ring r are at least r cells away; maxRing reaches the far edge of the track
+  for (let ring = 0; ring <= maxRing; ring++) {
+    if (ring === 0) {
+      searchCell(centerLat, centerLon);
+    } else {
+      for (let d = -ring; d <= ring; d++) {
+        searchCell(centerLat - ring, centerLon + d);
+        searchCell(centerLat + ring, centerLon + d);
+        if (Math.abs(d) < ring) {
+          searchCell(centerLat + d, centerLon - ring);
+          searchCell(centerLat + d, centerLon + ring);
+        }
+      }
+    }
+
+    const reach = ring * index.cellDeg;
+    if (nearestIdx >= 0 && nearestDistance <= reach * reach) break;
+  }
+
+  return nearestIdx;
+}
+
+/**
+ * Build the readout of one log row
+ * @param {Object} flight - Flight data with rows
+ * @param {number} rowIdx - Row index
+ * @returns {string} Tooltip HTML
+ */
+function buildTrackReadoutHtml(flight, rowIdx) {
+  const row = flight.data[rowIdx];
+  const time = typeof row._timestamp === 'number'
+    ? `${new Date(row._timestamp).toISOString().slice(11, 19)}Z`
+    : `Row ${rowIdx + 1}`;
+
+  // Magnetic heading when the unit logs it, otherwise the GPS track
+  let heading = '–';
+  if (typeof row.HDG === 'number') {
+    heading = `${String(Math.round(row.HDG) % 360).padStart(3, '0')}° hdg`;
+  } else if (typeof row.TRK === 'number') {
+    heading = `${String(Math.round(row.TRK) % 360).padStart(3, '0')}° trk`;
+  }
+
+  const rows = [
+    ['GPS alt', formatStat(row.AltGPS, 'ft')],
+    ['AGL', formatStat(row.AGL, 'ft')],
+    ['IAS / GS', `${formatStat(row.IAS, 'kt')} / ${formatStat(row.GndSpd, 'kt')}`],
+    ['VS', formatStat(row.VSpd, 'fpm')],
+    ['Heading', heading],
+    ['Engine', formatStat(row['E1 RPM'], 'rpm')]
+  ];
+
+  return `<b>${time}</b>${buildStatsTable(rows)}`;
+}
+
+/**
+ * Show the hover readout on a flight's track layers
+ * @param {Object} flight - Flight data with rows
+ * @param {Array} layers - Polyline and gradient segments of the flight
+ */
+function bindTrackReadout(flight, layers) {
+  // Restored trips have no rows to read out
+  if (!flight.data || flight.data.length === 0) return;
+
+  layers.forEach(layer => {
+    layer.bindTooltip('', { sticky: true, className: 'track-readout' });
+    layer.on('mouseover mousemove', event => {
+      const rowIdx = findNearestRowIndex(flight, event.latlng);
+      if (rowIdx >= 0) {
+        layer.setTooltipContent(buildTrackReadoutHtml(flight, rowIdx));
+      }
+    });
+  });
+}
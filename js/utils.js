@@ -21,6 +21,44 @@ function getDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+/**
+ * Calculate initial bearing from one point to another
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} True bearing in degrees (0-360)
+ */
+function getBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Format coordinates for labels where there is no airport code, e.g. "44.5812N 88.1234W"
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Formatted position (~10m precision)
+ */
+function formatLatLon(lat, lon) {
+  return `${Math.abs(lat).toFixed(4)}${lat < 0 ? 'S' : 'N'} ${Math.abs(lon).toFixed(4)}${lon < 0 ? 'W' : 'E'}`;
+}
+
+/**
+ * Altitude of a log row in feet MSL (GPS altitude when the unit logs no MSL altitude)
+ * @param {Object} row - Flight data row
+ * @returns {number|null} Altitude or null
+ */
+function getRowAltitude(row) {
+  if (typeof row.AltMSL === 'number') return row.AltMSL;
+  if (typeof row.AltGPS === 'number') return row.AltGPS;
+  return null;
+}
+
 /**
  * Extract airport code from filename (expected format: log_YYYYMMDD_HHMMSS_ICAO.csv)
  * @param {string} filename - The filename to parse
@@ -218,10 +256,8 @@ function applyGradientToPolyline(polyline, latlngs) {
   const segmentCount = Math.min(latlngs.length - 1, 100); // Limit to 100 segments for performance
   const step = Math.max(1, Math.floor((latlngs.length - 1) / segmentCount));
 
-  // Define gradient colors (green → yellow → red)
-  const startColor = [0, 180, 100];   // Green (RGB)
-  const midColor = [255, 200, 0];     // Yellow
-  const endColor = [255, 50, 50];     // Red
+  // Gradient colors (green → yellow → red)
+  const { start: startColor, mid: midColor, end: endColor } = TRACK_GRADIENT_COLORS;
 
   for (let i = 0; i < latlngs.length - step; i += step) {
     const segmentStart = i;
@@ -270,10 +306,8 @@ function applyGlobalGradientToPolyline(polyline, latlngs, cumulativePointsBefore
   const segmentCount = Math.min(latlngs.length - 1, 100); // Limit to 100 segments for performance
   const step = Math.max(1, Math.floor((latlngs.length - 1) / segmentCount));
 
-  // Define gradient colors (green → yellow → red)
-  const startColor = [0, 180, 100];   // Green (RGB)
-  const midColor = [255, 200, 0];     // Yellow
-  const endColor = [255, 50, 50];     // Red
+  // Gradient colors (green → yellow → red)
+  const { start: startColor, mid: midColor, end: endColor } = TRACK_GRADIENT_COLORS;
 
   for (let i = 0; i < latlngs.length - step; i += step) {
     const segmentStart = i;
@@ -334,6 +368,58 @@ function interpolateGradientColor(progress, startColor, midColor, endColor) {
   }
 }
 
+/**
+ * Interpolate color along a ramp of evenly spaced stops
+ * @param {Array} stops - RGB arrays
+ * @param {number} progress - Progress value (0 to 1)
+ * @returns {Array} RGB color array
+ */
+function interpolateColorRamp(stops, progress) {
+  const position = Math.max(0, Math.min(1, progress)) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const t = position - index;
+  return stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * t));
+}
+
+/**
+ * Get the track gradient color at a point along the gradient
+ * @param {number} progress - Progress value (0 to 1)
+ * @returns {Array} RGB color array
+ */
+function getTrackGradientColor(progress) {
+  const { start, mid, end } = TRACK_GRADIENT_COLORS;
+  return interpolateGradientColor(Math.max(0, Math.min(1, progress)), start, mid, end);
+}
+
+/**
+ * Trigger a browser download of generated content
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Escape text for use in popup HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Get zoom-adaptive arrow configuration
  * Arrows become smaller and less obtrusive at low zoom, larger and more visible at high zoom
@@ -365,6 +451,30 @@ function getZoomAdaptiveArrowConfig(zoom) {
   return { spacing, size, weight };
 }
 
+/**
+ * Build the direction arrow pattern of a track decorator
+ * @param {Object} config - Arrow configuration from getZoomAdaptiveArrowConfig
+ * @returns {Array} Patterns for L.polylineDecorator
+ */
+function getTrackArrowPatterns(config) {
+  return [
+    {
+      offset: '10%',
+      repeat: config.spacing,
+      symbol: L.Symbol.arrowHead({
+        pixelSize: config.size,
+        polygon: true,
+        pathOptions: {
+          fillColor: ARROW_STYLE.fillColor,
+          fillOpacity: ARROW_STYLE.fillOpacity,
+          color: ARROW_STYLE.color,
+          weight: config.weight
+        }
+      })
+    }
+  ];
+}
+
 /**
  * Get zoom-adaptive track width
  * Tracks become thinner at low zoom for cleaner overview, thicker at high zoom for detail
@@ -0,0 +1,158 @@
+/**
+ * Web Worker pool for parsing flight logs off the main thread
+ */
+
+let parseWorkers = [];
+let parseJobQueue = [];
+let nextParseJobId = 0;
+// Set once every worker failed to start; parsing then stays on the main thread
+let parseWorkersFailed = false;
+
+/**
+ * Check whether logs can be parsed in Web Workers
+ * (workers can't be started from file:// pages)
+ * @returns {boolean} True if a worker pool can be used
+ */
+function canUseParseWorkers() {
+  return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+}
+
+/**
+ * Start the worker pool and hand each worker the airport database
+ */
+function startParseWorkers() {
+  const count = Math.max(1, Math.min(MAX_PARSE_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+  console.log(`Starting ${count} parse workers...`);
+
+  for (let i = 0; i < count; i++) {
+    const worker = new Worker('js/parse-worker.js');
+    const slot = { worker, job: null, ready: false, readyTimer: null };
+
+    worker.onmessage = (event) => {
+      if (event.data.type === 'ready') {
+        slot.ready = true;
+        clearTimeout(slot.readyTimer);
+        dispatchParseJobs();
+        return;
+      }
+      finishParseJob(slot, event.data);
+    };
+    // Parse errors are posted back as messages, so an error event means the worker itself broke
+    // (e.g. importScripts() couldn't load a script)
+    worker.onerror = (event) => {
+      event.preventDefault();
+      dropParseWorker(slot, event.message);
+    };
+    slot.readyTimer = setTimeout(() => dropParseWorker(slot, 'no ready message'), PARSE_WORKER_READY_TIMEOUT_MS);
+
+    worker.postMessage({ type: 'init', airports });
+    parseWorkers.push(slot);
+  }
+}
+
+/**
+ * Remove a broken worker from the pool
+ * Its job is parsed on the main thread; once no worker is left, so are the queued jobs
+ * @param {Object} slot - Worker slot
+ * @param {string} reason - Failure message for the console
+ */
+function dropParseWorker(slot, reason) {
+  if (!parseWorkers.includes(slot)) return;
+
+  console.error('Parse worker failed:', reason);
+  clearTimeout(slot.readyTimer);
+  slot.worker.terminate();
+  parseWorkers = parseWorkers.filter(other => other !== slot);
+
+  if (slot.job) {
+    slot.job.resolve(parseFile(slot.job.file));
+    slot.job = null;
+  }
+
+  if (parseWorkers.length === 0) {
+    parseWorkersFailed = true;
+    parseJobQueue.forEach(job => job.resolve(parseFile(job.file)));
+    parseJobQueue = [];
+  }
+}
+
+/**
+ * Stop all workers (they are restarted with the current airport database on next use)
+ */
+function resetParseWorkers() {
+  // Jobs a worker was busy with would otherwise never settle
+  parseWorkers.forEach(slot => {
+    clearTimeout(slot.readyTimer);
+    slot.worker.terminate();
+    if (slot.job) slot.job.reject(new Error('Parse workers were reset'));
+  });
+  parseWorkers = [];
+  parseJobQueue.forEach(job => job.reject(new Error('Parse workers were reset')));
+  parseJobQueue = [];
+}
+
+/**
+ * Give queued jobs to idle workers that have finished loading
+ */
+function dispatchParseJobs() {
+  parseWorkers.forEach(slot => {
+    if (!slot.ready || slot.job || parseJobQueue.length === 0) return;
+
+    slot.job = parseJobQueue.shift();
+    slot.worker.postMessage({
+      type: 'parse',
+      id: slot.job.id,
+      file: slot.job.file,
+      thresholds: slot.job.thresholds
+    });
+  });
+}
+
+/**
+ * Handle a worker's reply to its current job
+ * @param {Object} slot - Worker slot
+ * @param {Object} message - Worker message
+ */
+function finishParseJob(slot, message) {
+  const job = slot.job;
+  slot.job = null;
+
+  if (job) {
+    if (message.type === 'result') {
+      job.resolve(message.flight);
+    } else if (message.type === 'unrecognized') {
+      // Let the main thread try saved column mappings / the mapping dialog
+      job.resolve(parseFile(job.file));
+    } else {
+      job.reject(new Error(message.message));
+    }
+  }
+
+  dispatchParseJobs();
+}
+
+/**
+ * Parse a flight log in the worker pool, falling back to the main thread when workers are unavailable
+ * @param {File} file - The file to process
+ * @returns {Promise} Promise that resolves with flight data (or null)
+ */
+function parseFileInBackground(file) {
+  if (!canUseParseWorkers() || parseWorkersFailed) {
+    return parseFile(file);
+  }
+
+  if (parseWorkers.length === 0) {
+    startParseWorkers();
+  }
+
+  return new Promise((resolve, reject) => {
+    parseJobQueue.push({
+      id: nextParseJobId++,
+      file,
+      thresholds: getStopDetectionThresholds(),
+      resolve,
+      reject
+    });
+    dispatchParseJobs();
+  });
+}